@@ -0,0 +1,79 @@
+// cancellation.js — cancellation policy for Courtify bookings
+//
+// A policy lists refund rules by notice given: the rule with the largest
+// minHoursBefore that the cancellation still meets applies, and
+// cancelling once the session has started refunds nothing. `fee` is a
+// flat charge kept from any refund. Set per facility, service or unit.
+
+const { slotStart } = require("./zones");
+
+const roundMoney = n => Math.round(Number(n) * 100) / 100;
+
+// Cancelled and expired bookings no longer hold anything
+const RELEASED_STATUSES = ["cancelled", "expired"];
+
+function isReleased(booking) {
+  return RELEASED_STATUSES.includes(booking.status);
+}
+
+const DEFAULT_CANCELLATION_POLICY = {
+  rules: [
+    { minHoursBefore: 24, refundPercent: 100 },
+    { minHoursBefore: 0, refundPercent: 50 }
+  ],
+  fee: 0
+};
+
+function bookingStart(booking) {
+  return slotStart(booking.date, booking.time, booking.timezone);
+}
+
+// Money actually taken for a booking (mock-confirmed bookings count as paid)
+function amountPaid(booking) {
+  if (booking.status === "confirmed_mock" || booking.paymentStatus === "paid") {
+    return Number(booking.price) || 0;
+  }
+  return 0;
+}
+
+// What cancelling now would refund and keep, or { error } when the
+// booking can no longer be cancelled. Staff can force past bookings and
+// set refundPercent themselves, which skips the rules and the fee.
+function cancellationQuote(booking, unit, { now = new Date(), force = false, refundPercent: override = null } = {}) {
+  if (isReleased(booking)) return { error: `Booking is already ${booking.status}` };
+  const start = bookingStart(booking);
+  const end = new Date(start.getTime() + (Number(booking.durationMinutes) || 60) * 60000);
+  if (now >= end && !force) return { error: "Booking has already taken place" };
+
+  const policy = (unit && unit.cancellationPolicy) || DEFAULT_CANCELLATION_POLICY;
+  const hoursBefore = (start - now) / 3600000;
+  const rule = override != null || hoursBefore < 0
+    ? null
+    : [...policy.rules]
+        .sort((a, b) => b.minHoursBefore - a.minHoursBefore)
+        .find(r => hoursBefore >= r.minHoursBefore) || null;
+
+  const paid = amountPaid(booking);
+  const refundPercent = override != null ? override : rule ? Number(rule.refundPercent) : 0;
+  const gross = roundMoney(paid * refundPercent / 100);
+  const fee = override != null || gross <= 0 ? 0 : Number(policy.fee) || 0;
+  const refundAmount = Math.max(0, roundMoney(gross - fee));
+  return {
+    hoursBefore: Math.round(hoursBefore * 10) / 10,
+    rule,
+    policy,
+    paid,
+    refundPercent,
+    refundAmount,
+    fee: roundMoney(paid - refundAmount),
+    currency: (booking.pricing && booking.pricing.currency) || "PHP"
+  };
+}
+
+module.exports = {
+  DEFAULT_CANCELLATION_POLICY,
+  isReleased,
+  bookingStart,
+  amountPaid,
+  cancellationQuote
+};
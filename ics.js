@@ -0,0 +1,73 @@
+// ics.js — iCalendar (RFC 5545) output for bookings
+//
+// calendar({ name, events }) returns a VCALENDAR string; each event is
+// { uid, start, end, stamp, summary, description, location, status,
+// sequence } with Date values for start/end/stamp. Times are written in
+// UTC so no VTIMEZONE block is needed.
+
+const PRODID = "-//Courtify//Court Bookings//EN";
+
+function escapeText(value) {
+  return String(value == null ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const out = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > 75) {
+      out.push(current);
+      current = " ";
+      bytes = 1;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join("\r\n");
+}
+
+// Date → 20261201T010000Z
+function icsTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function vevent(e) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${e.uid}`,
+    `DTSTAMP:${icsTime(e.stamp || new Date())}`,
+    `DTSTART:${icsTime(e.start)}`,
+    `DTEND:${icsTime(e.end)}`,
+    `SUMMARY:${escapeText(e.summary)}`,
+    `STATUS:${e.status || "CONFIRMED"}`,
+    `SEQUENCE:${e.sequence || 0}`
+  ];
+  if (e.location) lines.push(`LOCATION:${escapeText(e.location)}`);
+  if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function calendar({ name, events }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(vevent),
+    "END:VCALENDAR"
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+module.exports = { calendar, escapeText, icsTime };
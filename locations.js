@@ -0,0 +1,92 @@
+// locations.js — venue search helpers for Courtify
+//
+// matchLocation(location, query) scores a facility's location against
+// what a customer typed ("makati", "Poblacion, Makati City", "kapitolio").
+// Every word of the query has to match a word of the barangay, city or
+// address: exactly, as a prefix of 2+ letters, or with a typo or two
+// (edit distance 1 for words of 4-7 letters, 2 from 8). Accents, case,
+// punctuation and filler such as "city" or "brgy" are ignored. Returns
+// { score, field } with score in (0, 1] and the field that matched best,
+// or null.
+//
+// distanceKm(a, b) is the great-circle distance between two { lat, lng }
+// points (haversine), or null if either has no coordinates.
+
+const EARTH_RADIUS_KM = 6371;
+const FILLER = new Set(["city", "brgy", "bgy", "barangay", "of", "the", "metro"]);
+const FIELDS = [
+  // where a match counts for more
+  { field: "barangay", weight: 1 },
+  { field: "city", weight: 1 },
+  { field: "address", weight: 0.8 }
+];
+
+function words(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(w => w && !FILLER.has(w));
+}
+
+// Levenshtein distance, giving up once it is known to exceed `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// How well one query word matches one name word, 0 for not at all
+function wordScore(q, w) {
+  if (q === w) return 1;
+  if (q.length >= 2 && w.startsWith(q)) return 0.9;
+  const allowed = q.length >= 8 ? 2 : q.length >= 4 ? 1 : 0;
+  if (!allowed) return 0;
+  const d = editDistance(q, w, allowed);
+  return d <= allowed ? 0.75 - 0.1 * (d - 1) : 0;
+}
+
+function matchLocation(location, query) {
+  const wanted = words(query);
+  if (!wanted.length || !location) return null;
+  const fields = FIELDS.map(f => ({ ...f, words: words(location[f.field]) }));
+
+  let total = 0;
+  const hits = new Map();
+  for (const q of wanted) {
+    let best = null;
+    for (const f of fields) {
+      for (const w of f.words) {
+        const score = wordScore(q, w) * f.weight;
+        if (score > 0 && (!best || score > best.score)) best = { score, field: f.field };
+      }
+    }
+    if (!best) return null;
+    total += best.score;
+    hits.set(best.field, (hits.get(best.field) || 0) + best.score);
+  }
+  const field = [...hits.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  return { score: Math.round((total / wanted.length) * 100) / 100, field };
+}
+
+function distanceKm(a, b) {
+  if (!a || !b || a.lat == null || a.lng == null || b.lat == null || b.lng == null) return null;
+  const rad = deg => (Number(deg) * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h)) * 100) / 100;
+}
+
+module.exports = { matchLocation, distanceKm };
@@ -0,0 +1,146 @@
+// loyalty.js — the Courtify loyalty ledger
+//
+// The ledger (loyalty.json) is append-only. Balances are derived by
+// replaying it: earn/refund entries open point lots that expire after
+// LOYALTY_EXPIRY_DAYS; redemptions consume the oldest live lots first and
+// reversals claw back the lot earned by the same booking.
+
+const { v4: uuidv4 } = require("uuid");
+
+const LOYALTY_EXPIRY_DAYS = 365;
+// Redemption rate; money maths on points is done in whole cents so
+// e.g. ₱0.30 buys exactly 3 points
+const POINTS_PER_PESO = 10;
+const POINT_VALUE = 1 / POINTS_PER_PESO; // ₱ per point when redeemed
+const LOYALTY_TIERS = [
+  // qualifying = base points earned over the last 12 months
+  { name: "Gold", min: 5000, multiplier: 1.5 },
+  { name: "Silver", min: 2000, multiplier: 1.25 },
+  { name: "Member", min: 0, multiplier: 1 }
+];
+
+function loyaltyEntry(customerId, type, points, booking, note) {
+  const ts = new Date();
+  const entry = {
+    id: uuidv4(),
+    customerId,
+    type,
+    points,
+    bookingId: booking ? booking.id : null,
+    ts: ts.toISOString(),
+    note
+  };
+  if (points > 0) {
+    entry.expiresAt = new Date(ts.getTime() + LOYALTY_EXPIRY_DAYS * 86400000).toISOString();
+  }
+  return entry;
+}
+
+function loyaltyAccount(ledger, customerId, now = new Date()) {
+  const entries = ledger
+    .filter(e => e.customerId === customerId)
+    .sort((a, b) => a.ts.localeCompare(b.ts));
+  const lots = [];
+  const consume = (amount, at, preferred = null) => {
+    let left = amount;
+    const order = preferred ? [preferred, ...lots.filter(l => l !== preferred)] : lots;
+    for (const lot of order) {
+      if (left <= 0) break;
+      if (lot.expiresAt <= at) continue;
+      const take = Math.min(lot.remaining, left);
+      lot.remaining -= take;
+      left -= take;
+    }
+  };
+
+  let qualifying = 0;
+  const yearAgo = new Date(now.getTime() - 365 * 86400000).toISOString();
+  for (const e of entries) {
+    if (e.points > 0) {
+      lots.push({ entry: e, remaining: e.points, expiresAt: e.expiresAt });
+      if (e.type === "earn" && e.ts >= yearAgo) qualifying += e.basePoints || e.points;
+    } else if (e.type === "reverse") {
+      const lot = lots.find(l => l.entry.type === "earn" && l.entry.bookingId === e.bookingId);
+      consume(-e.points, e.ts, lot);
+      if (lot && lot.entry.ts >= yearAgo) qualifying -= lot.entry.basePoints || lot.entry.points;
+    } else {
+      consume(-e.points, e.ts);
+    }
+  }
+
+  const at = now.toISOString();
+  const soon = new Date(now.getTime() + 30 * 86400000).toISOString();
+  const live = lots.filter(l => l.expiresAt > at);
+  const tier = LOYALTY_TIERS.find(t => qualifying >= t.min);
+  const nextTier = LOYALTY_TIERS.slice().reverse().find(t => t.min > qualifying) || null;
+  return {
+    customerId,
+    balance: live.reduce((sum, l) => sum + l.remaining, 0),
+    expired: lots.filter(l => l.expiresAt <= at).reduce((sum, l) => sum + l.remaining, 0),
+    expiringSoon: live.filter(l => l.expiresAt <= soon).reduce((sum, l) => sum + l.remaining, 0),
+    tier: tier.name,
+    multiplier: tier.multiplier,
+    qualifyingPoints: Math.max(0, qualifying),
+    nextTier: nextTier ? { name: nextTier.name, pointsNeeded: nextTier.min - qualifying } : null,
+    history: entries.slice().reverse()
+  };
+}
+
+// The most points that can be spent on `amount` pesos
+function pointsCovering(amount) {
+  const cents = Math.round(Number(amount) * 100);
+  return cents > 0 ? Math.floor((cents * POINTS_PER_PESO) / 100) : 0;
+}
+
+// Pesos off for redeeming `points`
+function pointsValue(points) {
+  return Math.round((points * 100) / POINTS_PER_PESO) / 100;
+}
+
+// Earn points for a confirmed booking (1 point per ₱1 paid, times the
+// tier multiplier). No-op if this booking already earned.
+function earnLoyalty(ledger, booking) {
+  if (!booking.customerId || !booking.price) return null;
+  if (ledger.some(e => e.type === "earn" && e.bookingId === booking.id)) return null;
+  const customerId = booking.customerId;
+  const account = loyaltyAccount(ledger, customerId);
+  const basePoints = Math.floor(Number(booking.price));
+  const points = Math.floor(basePoints * account.multiplier);
+  if (points <= 0) return null;
+  const entry = loyaltyEntry(customerId, "earn", points, booking, `Booking ${booking.date} ${booking.time}`);
+  entry.basePoints = basePoints;
+  entry.tier = account.tier;
+  ledger.push(entry);
+  booking.loyalty = { ...(booking.loyalty || {}), pointsEarned: points };
+  return entry;
+}
+
+// Undo a cancelled booking's loyalty effects: claw back earned points and
+// give back any redeemed ones. Safe to call more than once.
+function reverseLoyalty(ledger, booking) {
+  const customerId = booking.customerId;
+  const forBooking = type => ledger.filter(e => e.bookingId === booking.id && e.type === type);
+  const changed = [];
+  const earned = forBooking("earn").reduce((sum, e) => sum + e.points, 0);
+  if (earned > 0 && forBooking("reverse").length === 0) {
+    changed.push(loyaltyEntry(customerId, "reverse", -earned, booking, "Booking cancelled"));
+  }
+  const redeemed = -forBooking("redeem").reduce((sum, e) => sum + e.points, 0);
+  if (redeemed > 0 && forBooking("refund").length === 0) {
+    changed.push(loyaltyEntry(customerId, "refund", redeemed, booking, "Redeemed points returned"));
+  }
+  ledger.push(...changed);
+  return changed;
+}
+
+module.exports = {
+  LOYALTY_EXPIRY_DAYS,
+  LOYALTY_TIERS,
+  POINT_VALUE,
+  pointsCovering,
+  pointsValue,
+  loyaltyEntry,
+  loyaltyAccount,
+  earnLoyalty,
+  reverseLoyalty
+};
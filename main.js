@@ -11,6 +11,52 @@ function escapeHtml(s) {
   }[c]));
 }
 
+// ----- FACILITY TIME -----
+// Slot dates and times are the facility's wall clock (Asia/Manila unless
+// the venue says otherwise), so "today" and timestamps are worked out in
+// that zone rather than the browser's.
+const DEFAULT_TIMEZONE = "Asia/Manila";
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// YYYY-MM-DD for today at the facility
+function todayIn(timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timeZone || DEFAULT_TIMEZONE, year: "numeric", month: "2-digit", day: "2-digit"
+  }).format(new Date());
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings, done in UTC so it never shifts
+function addDays(date, n) {
+  const d = new Date(date + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// An instant (ISO timestamp) as the facility's clock shows it
+function facilityTime(iso, timeZone) {
+  return new Date(iso).toLocaleString(undefined, {
+    timeZone: timeZone || DEFAULT_TIMEZONE, dateStyle: "medium", timeStyle: "short"
+  });
+}
+
+// " (Asia/Manila time)" when the browser is somewhere else
+function zoneNote(timeZone) {
+  const zone = timeZone || DEFAULT_TIMEZONE;
+  return zone === BROWSER_TIMEZONE ? "" : ` (${zone} time)`;
+}
+
+// Past dates can't be picked; empty date filters start at the facility's today
+function setDateDefaults(timeZone) {
+  const today = todayIn(timeZone);
+  const from = $id("dateFrom");
+  const to = $id("dateTo");
+  from.min = today;
+  to.min = today;
+  if (!from.value || from.value < today) from.value = today;
+  if (!to.value || to.value < from.value) to.value = addDays(from.value, 6);
+}
+setDateDefaults();
+
 // populate times
 const prefTime = $id("preferredTime");
 for (let h = 6; h <= 22; h++) {
@@ -31,8 +77,9 @@ const bookingsList = $id("bookingsList");
 const discountInfo = $id("discountInfo");
 const couponSelect = $id("couponCode");
 const loyaltyInfo = $id("loyaltyInfo");
-const loyaltyNameInput = $id("loyaltyName");
+const authStatus = $id("authStatus");
 
+let currentCustomer = null;
 let services = [];
 let selectedService = null;
 let selectedSlot = null;
@@ -61,29 +108,19 @@ async function loadServices() {
 
     // 💬 Friendly fallback message
     servicesList.innerHTML =
-      "<div class='muted'>Failed to load services (server offline?). Showing demo demo services instead.</div>";
-
-    // Demo fallback
-    services = [
-      { id: "svc-1", name: "Badminton Court",  description: "Single court", duration: 60, price: 250 },
-      { id: "svc-2", name: "Tennis Court",     description: "Singles",      duration: 60, price: 400 },
-      { id: "svc-3", name: "Basketball Court", description: "Half-court",   duration: 60, price: 600 },
-    ];
-
-    // still render *something*
-    renderServices();
+      "<div class='muted'>Failed to load services (server offline?). Please refresh to try again.</div>";
+    services = [];
   }
 }
 
+// Base per-slot price from the catalog's hourly rate. Slots found by an
+// availability check carry their own price, with peak, weekend and
+// holiday rules applied.
 function getDisplayPrice(service) {
     if (service.price != null) return service.price;
-  
-    const name = (service.name || "").toLowerCase();
-    if (name.includes("badminton")) return 250;
-    if (name.includes("tennis")) return 400;
-    if (name.includes("basketball")) return 600;
-  
-    return null; // will show TBD
+    if (service.hourlyRate == null) return null; // will show TBD
+    const minutes = service.slotMinutes || service.duration || 60;
+    return Math.round(service.hourlyRate * minutes / 60 * 100) / 100;
   }
   
   function renderServices() {
@@ -101,7 +138,8 @@ function getDisplayPrice(service) {
       div.innerHTML =
         `<strong>${escapeHtml(s.name)}</strong>` +
         `<div class="muted">${escapeHtml(s.description || "")}</div>` +
-        `<div class="muted">Duration: ${s.duration || 60} min • Price: ${price != null ? "₱" + price : "TBD"}</div>`;
+        `<div class="muted">${escapeHtml(s.facilityName || "")}${s.location ? " • " + escapeHtml(s.location.city) : ""}</div>` +
+        `<div class="muted">Duration: ${s.duration || 60} min • From: ${price != null ? "₱" + price : "TBD"}</div>`;
       div.onclick = () => selectService(s, div);
       servicesList.appendChild(div);
     });
@@ -111,6 +149,8 @@ function selectService(s, elem) {
   document.querySelectorAll(".service-item").forEach(it => it.classList.remove("selected"));
   elem.classList.add("selected");
   selectedService = s;
+  setDateDefaults(s.timezone);
+  closeLiveAvailability();
   availabilityCard.style.display = "none";
   bookingCard.style.display = "none";
   selectedSlot = null;
@@ -137,91 +177,146 @@ document.getElementById("checkBtn").addEventListener("click", async () => {
       return;
     }
   
-    status.textContent = "Checking availability...";
-    slotsArea.innerHTML = "";
-    availabilityCard.style.display = "none";
-    bookingCard.style.display = "none";
-    selectedSlot = null;
-    finalPrice = null;
-    discountInfo.textContent = "";
-  
-    try {
-      const body = {
-        preferredLocation,
-        indoorOutdoor,
-        sport: selectedService.name,
-        dateFrom,
-        dateTo,
-        preferredTime,
-      };
-  
-      const r = await fetch("/api/court/availability/check", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-      });
-  
-      if (r.ok) {
-        const j = await r.json();
-  
-        // 🔥 DEMO MODE: if backend returns no startTimes, fall back to mock slots
-        const hasSlots =
-          j &&
-          j.results &&
-          j.results.some((res) =>
-            (res.units || []).some(
-              (u) => u.startTimes && Object.keys(u.startTimes).length > 0
-            )
-          );
-  
-        if (hasSlots) {
-          renderAvailability(j);
-        } else {
-          renderAvailability(
-            mockAvailability(selectedService, dateFrom, dateTo, preferredTime)
-          );
-        }
-      } else {
-        // API error → use mock slots
-        renderAvailability(
-          mockAvailability(selectedService, dateFrom, dateTo, preferredTime)
-        );
-      }
-  
-      status.textContent = "";
-    } catch (err) {
-      console.error(err);
-      // Network / server error → still show mock slots
-      renderAvailability(
-        mockAvailability(selectedService, dateFrom, dateTo, preferredTime)
-      );
-      status.textContent = "";
-    }
+    await runAvailabilityCheck({
+      preferredLocation,
+      indoorOutdoor,
+      sport: selectedService.sport || selectedService.name,
+      serviceId: selectedService.id,
+      dateFrom,
+      dateTo,
+      preferredTime,
+    });
   });  
 
-function mockAvailability(svc, dateFrom, dateTo, preferredTime) {
-  const d1 = new Date(dateFrom);
-  const d2 = new Date(dateTo);
-  const results = [{ service: svc, units: [] }];
-  for (let i = 0; i < 3; i++) {
-    const unit = {
-      unit: { id: `u-${i + 1}`, name: `${svc.name} Unit ${i + 1}`, description: (i === 0 ? "Indoor" : "Outdoor") },
-      startTimes: {}
-    };
-    for (let d = new Date(d1); d <= d2; d.setDate(d.getDate() + 1)) {
-      const key = d.toISOString().slice(0, 10);
-      unit.startTimes[key] = ["09:00", "11:00", "15:00"];
+// Posts an availability check and shows the slots it finds (also used
+// when drilling into a location from the search results)
+async function runAvailabilityCheck(body) {
+  status.textContent = "Checking availability...";
+  closeLiveAvailability();
+  slotsArea.innerHTML = "";
+  availabilityCard.style.display = "none";
+  bookingCard.style.display = "none";
+  selectedSlot = null;
+  finalPrice = null;
+  discountInfo.textContent = "";
+
+  try {
+    const r = await fetch("/api/court/availability/check", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const j = await r.json();
+
+    if (!r.ok || !j.success) {
+      status.textContent =
+        "Availability error: " + (j && j.error ? j.error : r.statusText);
+      return;
     }
-    results[0].units.push(unit);
+
+    renderAvailability(j);
+    watchAvailability(j, body.dateFrom, body.dateTo);
+    status.textContent = "";
+  } catch (err) {
+    console.error(err);
+    status.textContent = "Server error checking availability";
   }
-  return { results };
 }
 
-function renderAvailability(data) {
+// ----- LOCATION SEARCH -----
+// Venues matching the filters (and the selected service's sport, if one
+// is picked), nearest first when the browser shares its position. Each
+// result drills into that venue's availability.
+function currentPosition() {
+  return new Promise(resolve => {
+    if (!navigator.geolocation) return resolve(null);
+    navigator.geolocation.getCurrentPosition(
+      pos => resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude }),
+      () => resolve(null),
+      { timeout: 5000, maximumAge: 10 * 60 * 1000 }
+    );
+  });
+}
+
+document.getElementById("findLocationsBtn").addEventListener("click", async () => {
+  status.textContent = "Finding locations...";
+  closeLiveAvailability();
+  bookingCard.style.display = "none";
+  selectedSlot = null;
+
+  const params = new URLSearchParams();
+  const location = $id("preferredLocation").value.trim();
+  const indoorOutdoor = $id("indoorOutdoor").value;
+  const dateFrom = $id("dateFrom").value;
+  if (location) params.set("location", location);
+  if (indoorOutdoor && indoorOutdoor !== "any") params.set("indoorOutdoor", indoorOutdoor);
+  if (selectedService) params.set("sport", selectedService.sport || selectedService.name);
+  if (dateFrom) params.set("dateFrom", dateFrom);
+  const here = await currentPosition();
+  if (here) {
+    params.set("lat", here.lat);
+    params.set("lng", here.lng);
+  }
+
+  try {
+    const r = await fetch("/api/locations/search?" + params);
+    const j = await r.json();
+    if (!r.ok || !j.success) {
+      status.textContent = "Search error: " + (j && j.error ? j.error : r.statusText);
+      return;
+    }
+    renderLocations(j);
+    status.textContent = "";
+  } catch (err) {
+    console.error(err);
+    status.textContent = "Server error finding locations";
+  }
+});
+
+function renderLocations(data) {
   availabilityCard.style.display = "block";
   slotsArea.innerHTML = "";
+  if (!data.locations.length) {
+    slotsArea.innerHTML = "<div class='muted'>No locations match these filters.</div>";
+    return;
+  }
+  data.locations.forEach(l => {
+    const loc = l.facility.location || {};
+    const next = l.soonest;
+    const div = document.createElement("div");
+    div.className = "service-item";
+    div.innerHTML =
+      `<strong>${escapeHtml(l.facility.name)}</strong>` +
+      `<div class="muted">${escapeHtml([loc.barangay, loc.city].filter(Boolean).join(", "))}` +
+      `${l.distanceKm != null ? " • " + l.distanceKm + " km away" : ""}</div>` +
+      `<div class="muted">${escapeHtml(l.sports.join(", "))} • ${l.units} court${l.units === 1 ? "" : "s"}</div>` +
+      `<div class="muted">${next
+        ? `Next free: ${escapeHtml(next.date)} ${escapeHtml(next.time)} • ${escapeHtml(next.unitName)}` +
+          (next.price != null ? ` • ₱${next.price}` : "")
+        : `No free slot through ${escapeHtml(data.to)}`}</div>`;
+    div.onclick = () => {
+      const dateTo = $id("dateTo").value;
+      runAvailabilityCheck({
+        facilityId: l.facility.id,
+        sport: selectedService ? selectedService.sport || selectedService.name : undefined,
+        indoorOutdoor: $id("indoorOutdoor").value,
+        preferredTime: $id("preferredTime").value,
+        dateFrom: data.from,
+        dateTo: dateTo && dateTo >= data.from ? dateTo : data.to,
+      });
+    };
+    slotsArea.appendChild(div);
+  });
+}
+
+// Renders availability results as slot buttons. By default into the
+// Available Slots card, selecting for a new booking; the reschedule picker
+// passes its own container and onSelect.
+function renderAvailability(data, { container = slotsArea, onSelect = selectSlot } = {}) {
+  if (container === slotsArea) availabilityCard.style.display = "block";
+  container.innerHTML = "";
   if (!data || !data.results || data.results.length === 0) {
-    slotsArea.innerHTML = "<div class='muted'>No results</div>";
+    container.innerHTML = "<div class='muted'>No results</div>";
     return;
   }
   data.results.forEach(r => {
@@ -251,16 +346,25 @@ function renderAvailability(data) {
           (u.startTimes[d] || []).forEach(t => {
             const li = document.createElement("li");
             const btn = document.createElement("button");
+            const price = u.prices && u.prices[d] && u.prices[d][t] != null
+              ? u.prices[d][t]
+              : getDisplayPrice(u.unit);
             btn.className = "slot-btn";
-            btn.textContent = `${d} ${t}`;
-            btn.onclick = () => selectSlot({
+            btn.textContent = `${d} ${t}` + (price != null ? ` · ₱${price}` : "");
+            btn.dataset.unitId = u.unit.id;
+            btn.dataset.date = d;
+            btn.dataset.time = t;
+            btn.onclick = () => onSelect({
               serviceId: r.service.id || r.service.name,
               serviceName: r.service.name,
               unitId: u.unit.id,
               unitName: u.unit.name,
+              facilityId: u.unit.facilityId,
+              timezone: u.unit.timezone,
+              sport: u.unit.sport,
               date: d,
               time: t,
-              price: r.service.price || null
+              price
             }, btn);
             li.appendChild(btn);
             ul.appendChild(li);
@@ -271,30 +375,16 @@ function renderAvailability(data) {
       }
       svcBox.appendChild(unitDiv);
     });
-    slotsArea.appendChild(svcBox);
+    container.appendChild(svcBox);
   });
 }
 
-// Map service name → default price (for demo bookings)
-function getDisplayPriceForName(name) {
-    const n = (name || "").toLowerCase();
-    if (n.includes("badminton")) return 250;
-    if (n.includes("tennis")) return 400;
-    if (n.includes("basketball")) return 600;
-    return null;
-  }
-  
   function selectSlot(slotObj, btn) {
     document
       .querySelectorAll(".slot-btn")
       .forEach((b) => b.classList.remove("selected"));
     btn.classList.add("selected");
   
-    // 🔥 ensure slot has a price
-    if (slotObj.price == null) {
-      slotObj.price = getDisplayPriceForName(slotObj.serviceName);
-    }
-  
     selectedSlot = slotObj;
     finalPrice = null;
     discountInfo.textContent = "";
@@ -305,48 +395,80 @@ function getDisplayPriceForName(name) {
       )}</strong> — ${escapeHtml(selectedSlot.unitName)}</div>
       <div class="muted">When: ${escapeHtml(selectedSlot.date)} ${escapeHtml(
       selectedSlot.time
-    )}</div>
+    )}${escapeHtml(zoneNote(selectedSlot.timezone))}</div>
       <div class="muted">Price: ${
         selectedSlot.price ? "₱" + selectedSlot.price : "TBD"
       }</div>
     `;
     bookingCard.style.display = "block";
-    $id("customerName").value = "";
-    $id("contact").value = "";
+    $id("customerName").value = currentCustomer ? currentCustomer.name : "";
+    $id("contact").value = currentCustomer ? currentCustomer.phone || currentCustomer.email : "";
+    $id("redeemPoints").value = "";
+    $id("waitlistOffer").style.display = "none";
+    populateCouponsDropdown(selectedSlot.sport, selectedSlot.facilityId);
   }  
 
+// ----- LIVE AVAILABILITY -----
+// While the Available Slots card is open, its buttons follow bookings
+// made by everyone else: taken start times are disabled, freed ones come
+// back. The server sends the free times of each watched unit/date.
+let liveSource = null;
+let bookingInFlight = false;
+
+function watchAvailability(data, dateFrom, dateTo) {
+  closeLiveAvailability();
+  if (!window.EventSource || !data || !data.results) return;
+  const unitIds = [...new Set(data.results.flatMap(r => r.units.map(u => u.unit.id)))];
+  if (!unitIds.length) return;
+  const qs = new URLSearchParams({ unitIds: unitIds.join(","), dateFrom, dateTo });
+  liveSource = new EventSource(`/api/availability/stream?${qs}`);
+  liveSource.addEventListener("availability", e => applyAvailability(JSON.parse(e.data)));
+}
+
+function closeLiveAvailability() {
+  if (liveSource) liveSource.close();
+  liveSource = null;
+}
+
+function applyAvailability({ unitId, date, free }) {
+  slotsArea.querySelectorAll(".slot-btn").forEach(btn => {
+    if (btn.dataset.unitId !== unitId || btn.dataset.date !== date) return;
+    const taken = !free.includes(btn.dataset.time);
+    const lost = taken && !btn.disabled && btn.classList.contains("selected");
+    btn.disabled = taken;
+    btn.classList.toggle("taken", taken);
+    btn.title = taken ? "Just booked by someone else" : "";
+    // our own booking takes the slot too; only warn about other people's
+    if (lost && selectedSlot && !bookingInFlight) {
+      status.textContent =
+        `Sorry — ${selectedSlot.unitName} on ${selectedSlot.date} at ${selectedSlot.time} was just booked. ` +
+        "Pick another time or join the waitlist for it.";
+      $id("waitlistOffer").style.display = "block";
+    }
+  });
+}
+
 // ----- COUPON DROPDOWN -----
-async function populateCouponsDropdown() {
+async function populateCouponsDropdown(sport, facilityId) {
   if (!couponSelect) return;
   couponSelect.innerHTML = '<option value="">No coupon</option>';
-  const fallbackCodes = ["BADMINTON20", "BASKETBALL20", "TENNIS20", "PICKLEBALL20", "SOCCER20"];
   try {
-    const r = await fetch("/api/coupons");
+    const params = new URLSearchParams();
+    if (sport) params.set("sport", sport);
+    if (facilityId) params.set("facilityId", facilityId);
+    const qs = params.toString() ? "?" + params : "";
+    const r = await fetch("/api/coupons" + qs);
     if (!r.ok) throw new Error("no /api/coupons");
     const j = await r.json();
     if (!j.success || !Array.isArray(j.coupons)) throw new Error("bad coupons response");
     j.coupons.forEach(c => {
       const opt = document.createElement("option");
       opt.value = c.code;
-      opt.textContent = c.code;
+      opt.textContent = c.description ? `${c.code} — ${c.description}` : c.code;
       couponSelect.appendChild(opt);
     });
-    if (j.coupons.length === 0) {
-      fallbackCodes.forEach(code => {
-        const opt = document.createElement("option");
-        opt.value = code;
-        opt.textContent = code;
-        couponSelect.appendChild(opt);
-      });
-    }
   } catch (err) {
-    console.error("Error loading coupons, using fallback list", err);
-    fallbackCodes.forEach(code => {
-      const opt = document.createElement("option");
-      opt.value = code;
-      opt.textContent = code;
-      couponSelect.appendChild(opt);
-    });
+    console.error("Error loading coupons", err);
   }
 }
 
@@ -364,92 +486,131 @@ document.getElementById("applyCouponBtn").onclick = async () => {
     return;
   }
 
-  // ✅ Known 20% off codes
-  const fallbackCodes = [
-    "BADMINTON20",
-    "BASKETBALL20",
-    "TENNIS20",
-    "PICKLEBALL20",
-    "SOCCER20",
-  ];
-  const upper = String(code).toUpperCase();
-  const priceNum = Number(selectedSlot.price);
-
+  // Preview only — the server re-prices and redeems the coupon at booking time
   try {
     const r = await fetch("/api/coupons/validate", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ code, originalPrice: selectedSlot.price }),
+      body: JSON.stringify({
+        code,
+        originalPrice: selectedSlot.price,
+        unitId: selectedSlot.unitId,
+        date: selectedSlot.date,
+        time: selectedSlot.time,
+      }),
     });
 
     const j = await r.json();
 
-    // Backend responded but says coupon not valid
     if (!j.success) {
-      // 🔁 Fallback: still give 20% for your known codes
-      if (fallbackCodes.includes(upper) && !isNaN(priceNum)) {
-        finalPrice = Math.round(priceNum * 0.8 * 100) / 100;
-        discountInfo.textContent = `Coupon applied. New price: ₱${finalPrice}`;
-        return;
-      }
-
       discountInfo.textContent = j.error || "Invalid coupon";
       finalPrice = null;
       return;
     }
 
-    // Normal success from backend
     finalPrice = j.finalPrice;
     discountInfo.textContent = `Coupon applied. New price: ₱${finalPrice}`;
   } catch (err) {
     console.error("Error talking to /api/coupons/validate:", err);
-
-    // 🔥 If API totally fails, still apply 20% for the …20 codes
-    if (fallbackCodes.includes(upper) && !isNaN(priceNum)) {
-      finalPrice = Math.round(priceNum * 0.8 * 100) / 100;
-      discountInfo.textContent = `Coupon applied. New price: ₱${finalPrice}`;
-    } else {
-      discountInfo.textContent = "Error validating coupon";
-      finalPrice = null;
-    }
+    discountInfo.textContent = "Error validating coupon";
+    finalPrice = null;
   }
 };
 
 // ----- LOYALTY POINTS -----
-async function updateLoyaltyPoints(customerName) {
-  if (!customerName) return;
+async function updateLoyaltyPoints() {
+  if (!currentCustomer) {
+    loyaltyInfo.textContent = "Log in to see your points.";
+    return;
+  }
+  const customerName = currentCustomer.name;
   try {
-    const r = await fetch("/api/bookings");
+    const r = await fetch("/api/loyalty/me");
     const j = await r.json();
-    if (!j.success || !Array.isArray(j.bookings)) return;
-
-    const nameLower = customerName.toLowerCase();
-    let totalSpent = 0;
-    j.bookings.forEach(b => {
-      if (
-        b.customerName &&
-        b.customerName.toLowerCase() === nameLower &&
-        (b.status === "confirmed" || b.status === "confirmed_mock") &&
-        b.price != null
-      ) {
-        totalSpent += Number(b.price);
-      }
-    });
+    if (!j.success) {
+      loyaltyInfo.textContent = j.error || "Could not load loyalty points.";
+      return;
+    }
 
-    const points = Math.floor(totalSpent); // 1 peso = 1 point
-    loyaltyInfo.textContent = `${customerName} has ${points} loyalty points.`;
+    const history = (j.history || []).slice(0, 10).map(e =>
+      `<li>${escapeHtml(e.ts.slice(0, 10))} • ${e.points > 0 ? "+" : ""}${e.points} • ${escapeHtml(e.note || e.type)}</li>`
+    ).join("");
+    loyaltyInfo.innerHTML =
+      `<div><strong>${escapeHtml(customerName)}</strong> — ${escapeHtml(j.tier)} member</div>` +
+      `<div>${j.balance} points (worth ₱${Math.round(j.balance * j.pointValue * 100) / 100})</div>` +
+      (j.expiringSoon ? `<div>${j.expiringSoon} points expire within 30 days</div>` : "") +
+      (j.nextTier ? `<div>${j.nextTier.pointsNeeded} more points to ${escapeHtml(j.nextTier.name)}</div>` : "") +
+      (history ? `<ul style="padding-left:18px;margin:6px 0 0">${history}</ul>` : "");
   } catch (err) {
     console.error("Error updating loyalty", err);
   }
 }
 
-document.getElementById("checkLoyaltyBtn").onclick = async () => {
-  const name = loyaltyNameInput.value && loyaltyNameInput.value.trim();
-  if (!name) {
-    loyaltyInfo.textContent = "Enter a customer name first.";
-    return;
+document.getElementById("checkLoyaltyBtn").onclick = updateLoyaltyPoints;
+
+// ----- ACCOUNT -----
+function renderAccount() {
+  $id("accountForms").style.display = currentCustomer ? "none" : "block";
+  $id("accountInfo").style.display = currentCustomer ? "block" : "none";
+  $id("accountName").textContent = currentCustomer
+    ? `Signed in as ${currentCustomer.name} (${currentCustomer.email})`
+    : "";
+}
+
+async function loadMe() {
+  try {
+    const r = await fetch("/api/auth/me");
+    const j = await r.json();
+    currentCustomer = r.ok && j.success ? j.customer : null;
+  } catch (err) {
+    console.error("Error loading account", err);
+    currentCustomer = null;
   }
-  await updateLoyaltyPoints(name);
+  renderAccount();
+}
+
+async function authRequest(url, body) {
+  authStatus.textContent = "";
+  try {
+    const r = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const j = await r.json();
+    if (!r.ok || !j.success) {
+      authStatus.textContent = j.error || r.statusText;
+      return;
+    }
+    currentCustomer = j.customer;
+    $id("authPassword").value = "";
+    renderAccount();
+    await loadBookings();
+    await updateLoyaltyPoints();
+  } catch (err) {
+    console.error(err);
+    authStatus.textContent = "Server error";
+  }
+}
+
+$id("loginBtn").onclick = () => authRequest("/api/auth/login", {
+  email: $id("authEmail").value.trim(),
+  password: $id("authPassword").value,
+});
+
+$id("signupBtn").onclick = () => authRequest("/api/auth/signup", {
+  name: $id("authName").value.trim(),
+  email: $id("authEmail").value.trim(),
+  password: $id("authPassword").value,
+  phone: $id("authPhone").value.trim() || undefined,
+});
+
+$id("logoutBtn").onclick = async () => {
+  await fetch("/api/auth/logout", { method: "POST" });
+  currentCustomer = null;
+  renderAccount();
+  await loadBookings();
+  loyaltyInfo.textContent = "Confirm a booking to earn points.";
 };
 
 // ----- CONFIRM BOOKING -----
@@ -458,6 +619,10 @@ document.getElementById("confirmBtn").onclick = async () => {
       status.textContent = "Select a slot first.";
       return;
     }
+    if (!currentCustomer) {
+      status.textContent = "Log in or sign up to book.";
+      return;
+    }
   
     const customerName =
       $id("customerName").value && $id("customerName").value.trim();
@@ -467,14 +632,6 @@ document.getElementById("confirmBtn").onclick = async () => {
     }
     const contact = $id("contact").value && $id("contact").value.trim();
   
-    // base price for this booking
-    const basePrice =
-      finalPrice != null
-        ? Number(finalPrice)
-        : selectedSlot.price != null
-        ? Number(selectedSlot.price)
-        : null;
-  
     const payload = {
       serviceId: selectedSlot.serviceId,
       serviceName: selectedSlot.serviceName,
@@ -484,13 +641,15 @@ document.getElementById("confirmBtn").onclick = async () => {
       time: selectedSlot.time,
       customerName,
       contact,
-      price: basePrice,
+      redeemPoints: Number($id("redeemPoints").value) || 0,
+      paymentMethod: $id("paymentMethod").value,
       couponCode: couponSelect.value
         ? couponSelect.value.toUpperCase()
         : null,
     };
   
     status.textContent = "Creating booking...";
+    bookingInFlight = true;
     try {
       const r = await fetch("/api/book", {
         method: "POST",
@@ -501,31 +660,29 @@ document.getElementById("confirmBtn").onclick = async () => {
   
       if (!r.ok) {
         status.textContent =
-          "Booking error: " + (j && j.error ? j.error : r.statusText);
+          "Booking error: " + (j && j.error ? j.error : r.statusText) +
+          (j && j.conflict ? ` (booked ${j.conflict.start}–${j.conflict.end})` : "");
+        // slot taken: offer to queue for it instead
+        if (r.status === 409 && j && j.conflict) $id("waitlistOffer").style.display = "block";
         return;
       }
   
-      status.textContent = "Booking created. Confirming...";
+      const pricing = j.booking && j.booking.pricing;
+      const held = j.booking && j.booking.holdExpiresAt
+        ? ` — slot held for ${formatCountdown(j.booking.holdExpiresAt)}`
+        : "";
+      status.textContent =
+        "Booking created" + (pricing ? ` (₱${pricing.final})` : "") + held + ". Paying...";
   
-      // 🔥 fix: support _id (Mongo) OR id
-      const bid =
-        j.booking && (j.booking._id || j.booking.id);
+      const bid = j.booking && j.booking.id;
   
       if (bid) {
-        const rc = await fetch(`/api/book/${bid}/confirm`, {
-          method: "POST",
-        });
-        const jc = await rc.json();
-  
-        if (rc.ok) {
-          status.textContent = "Booking confirmed!";
-          // update loyalty for this customer
-          await updateLoyaltyPoints(customerName);
-        } else {
-          status.textContent =
-            "Booking created but confirmation failed: " +
-            (jc && jc.error ? jc.error : rc.statusText);
-        }
+        const outcome = j.booking.status === "pending"
+          ? await payAndConfirm(bid, payload.paymentMethod, j.booking.paymentStatus === "not_required")
+          : { ok: true, message: "Booking confirmed!" };
+        status.textContent = outcome.message;
+        // update loyalty for this customer
+        if (outcome.ok) await updateLoyaltyPoints();
       } else {
         // safety: no id returned
         status.textContent =
@@ -533,6 +690,7 @@ document.getElementById("confirmBtn").onclick = async () => {
       }
   
       // reset UI
+      closeLiveAvailability();
       bookingCard.style.display = "none";
       availabilityCard.style.display = "none";
       selectedSlot = null;
@@ -542,27 +700,318 @@ document.getElementById("confirmBtn").onclick = async () => {
     } catch (err) {
       console.error(err);
       status.textContent = "Server error creating booking";
+    } finally {
+      bookingInFlight = false;
     }
   };  
 
+// ----- HOLD COUNTDOWN -----
+// Pending bookings hold their slot until holdExpiresAt
+function formatCountdown(expiresAt) {
+  const left = Math.max(0, Math.round((Date.parse(expiresAt) - Date.now()) / 1000));
+  return `${Math.floor(left / 60)}:${String(left % 60).padStart(2, "0")}`;
+}
+
+function tickHolds() {
+  let lapsed = false;
+  bookingsList.querySelectorAll(".hold-countdown").forEach(el => {
+    if (Date.parse(el.dataset.expires) <= Date.now()) {
+      el.textContent = "Hold expired";
+      // stop ticking this one so the refresh below is scheduled only once
+      el.classList.remove("hold-countdown");
+      lapsed = true;
+    } else {
+      el.textContent = `Held for ${formatCountdown(el.dataset.expires)} — confirm to keep it`;
+    }
+  });
+  // the server has released the slot; refresh so the status shows it
+  if (lapsed) setTimeout(loadBookings, 1500);
+}
+setInterval(tickHolds, 1000);
+
+async function confirmHeldBooking(booking) {
+  status.textContent = "Paying...";
+  const outcome = await payAndConfirm(booking.id, booking.paymentMethod, booking.paymentStatus === "not_required");
+  status.textContent = outcome.message;
+  if (outcome.ok) await updateLoyaltyPoints();
+  await loadBookings();
+}
+
+// ----- PAYMENT -----
+// Paid bookings are confirmed by the gateway's webhook, so after starting
+// the payment we poll it until it settles. Free bookings confirm directly.
+async function payAndConfirm(bookingId, paymentMethod, free) {
+  if (free) {
+    const rc = await fetch(`/api/book/${bookingId}/confirm`, { method: "POST" });
+    const jc = await rc.json();
+    return rc.ok
+      ? { ok: true, message: "Booking confirmed!" }
+      : { ok: false, message: "Confirmation failed: " + (jc.error || rc.statusText) };
+  }
+
+  const rp = await fetch(`/api/book/${bookingId}/pay`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ paymentMethod }),
+  });
+  const jp = await rp.json();
+  if (!rp.ok) {
+    return { ok: false, message: "Payment could not start: " + (jp.error || rp.statusText) };
+  }
+  if (jp.nextAction && jp.nextAction.message) status.textContent = jp.nextAction.message + "…";
+
+  for (let i = 0; i < 30; i++) {
+    await new Promise(r => setTimeout(r, 1000));
+    const r = await fetch(`/api/payments/${jp.payment.id}`);
+    const j = await r.json();
+    if (j.payment && j.payment.status === "succeeded") {
+      return { ok: true, message: "Payment received — booking confirmed!" };
+    }
+    if (j.payment && j.payment.status === "failed") {
+      return { ok: false, message: "Payment failed: " + (j.payment.failureReason || "declined") + ". Your slot is still held — retry from Your bookings." };
+    }
+  }
+  return { ok: false, message: "Payment is still processing. Check Your bookings shortly." };
+}
+
+// ----- WAITLIST -----
+$id("joinWaitlistBtn").onclick = async () => {
+  if (!selectedSlot) return;
+  const anyUnit = $id("waitlistAnyUnit").checked;
+  const r = await fetch("/api/waitlist", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      unitId: anyUnit ? null : selectedSlot.unitId,
+      sport: anyUnit ? selectedSlot.sport : null,
+      date: selectedSlot.date,
+      time: selectedSlot.time,
+      paymentMethod: $id("paymentMethod").value,
+    }),
+  });
+  const j = await r.json();
+  if (!r.ok) {
+    status.textContent = "Waitlist error: " + (j.error || r.statusText);
+    return;
+  }
+  status.textContent = `You're #${j.position} on the waitlist. If the slot frees up it will be held for you.`;
+  $id("waitlistOffer").style.display = "none";
+  await loadBookings();
+};
+
+async function leaveWaitlist(id) {
+  await fetch(`/api/waitlist/${id}/cancel`, { method: "POST" });
+  await loadBookings();
+}
+
+function bindWaitlistButtons() {
+  bookingsList.querySelectorAll(".waitlist-leave").forEach(btn => {
+    btn.onclick = () => leaveWaitlist(btn.dataset.id);
+  });
+}
+
+function renderWaitlist(entries) {
+  const waiting = entries.filter(e => e.status === "waiting");
+  if (!waiting.length) return "";
+  return "<div style='padding:10px 10px 0'><strong>Waitlist</strong></div>" + waiting.map(e => `
+    <div style="padding:10px;border-bottom:1px solid #f1f5f9">
+      <div class="muted">${escapeHtml(e.unitId || "Any " + e.sport + " court")} • ${escapeHtml(e.date)} ${escapeHtml(e.time)}</div>
+      <div class="muted">Position ${e.position}
+        <button class="waitlist-leave" data-id="${escapeHtml(e.id)}">Leave</button>
+      </div>
+    </div>`).join("");
+}
+
+// ----- MANAGE BOOKINGS -----
+const MANAGEABLE_STATUSES = ["pending", "confirmed", "confirmed_mock"];
+
+function bookingPanel(id) {
+  return bookingsList.querySelector(`.booking-panel[data-id="${CSS.escape(id)}"]`);
+}
+
+function showBookingError(id, message) {
+  const el = bookingsList.querySelector(`.booking-error[data-id="${CSS.escape(id)}"]`);
+  if (el) el.textContent = message;
+}
+
+// Price rules a booking was charged under, e.g. "Evening peak +₱50"
+function renderPriceRules(pricing) {
+  if (!pricing || !pricing.rules || !pricing.rules.length) return "";
+  const parts = pricing.rules.map(r =>
+    `${escapeHtml(r.label)} ${r.amount < 0 ? "−" : "+"}₱${Math.abs(r.amount)}`
+  );
+  return ` • ${parts.join(", ")}`;
+}
+
+// Older entries store the actor as a plain string
+function actorLabel(actor) {
+  if (!actor || typeof actor === "string") return actor || "system";
+  if (actor.type === "staff") return `${actor.name}, staff`;
+  if (actor.type === "customer") return "you";
+  return actor.name || actor.type;
+}
+
+function renderHistory(history, timeZone) {
+  if (!history || !history.length) return "";
+  const items = history.map(h =>
+    `<li>${escapeHtml(facilityTime(h.ts, timeZone))} — ${escapeHtml(h.action)}` +
+    `${h.note ? ": " + escapeHtml(h.note) : ""} <span class="muted">(${escapeHtml(actorLabel(h.actor))})</span></li>`
+  ).join("");
+  return `<details style="margin-top:6px"><summary class="muted">History (${history.length})</summary><ul>${items}</ul></details>`;
+}
+
+// Inline picker: free start times on this booking's unit only
+function openReschedule(b) {
+  const panel = bookingPanel(b.id);
+  showBookingError(b.id, "");
+  panel.innerHTML = `
+    <div style="display:flex;gap:8px;align-items:center;margin-top:6px;">
+      <input type="date" class="reschedule-from" min="${todayIn(b.timezone)}" value="${escapeHtml(b.date)}" />
+      <input type="date" class="reschedule-to" min="${todayIn(b.timezone)}" value="${escapeHtml(b.date)}" />
+      <button class="btn secondary reschedule-search">Show times</button>
+      <button class="btn secondary reschedule-close">Close</button>
+    </div>
+    <div class="reschedule-slots muted"></div>`;
+  panel.querySelector(".reschedule-close").onclick = () => { panel.innerHTML = ""; };
+  panel.querySelector(".reschedule-search").onclick = async () => {
+    const slots = panel.querySelector(".reschedule-slots");
+    slots.textContent = "Checking availability...";
+    const r = await fetch("/api/court/availability/check", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        serviceId: b.serviceId,
+        unitId: b.unitId,
+        excludeBookingId: b.id,
+        dateFrom: panel.querySelector(".reschedule-from").value,
+        dateTo: panel.querySelector(".reschedule-to").value,
+        preferredTime: b.time,
+      }),
+    });
+    const j = await r.json();
+    if (!r.ok || !j.success) {
+      slots.textContent = "";
+      showBookingError(b.id, "Availability error: " + (j.error || r.statusText));
+      return;
+    }
+    renderAvailability(j, { container: slots, onSelect: slot => rescheduleBooking(b, slot) });
+  };
+}
+
+async function rescheduleBooking(b, slot) {
+  showBookingError(b.id, "");
+  const r = await fetch(`/api/book/${b.id}/reschedule`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ date: slot.date, time: slot.time }),
+  });
+  const j = await r.json();
+  if (!r.ok) {
+    showBookingError(b.id,
+      (j.error || r.statusText) + (j.conflict ? ` (booked ${j.conflict.start}–${j.conflict.end})` : ""));
+    return;
+  }
+  status.textContent = `Booking moved to ${j.booking.date} ${j.booking.time}.`;
+  await loadBookings();
+}
+
+// Shows what the cancellation policy would refund before committing
+async function openCancel(b) {
+  const panel = bookingPanel(b.id);
+  showBookingError(b.id, "");
+  const r = await fetch(`/api/book/${b.id}/cancel/preview`);
+  const j = await r.json();
+  if (!r.ok || !j.success) {
+    showBookingError(b.id, j.error || r.statusText);
+    return;
+  }
+  if (!j.cancellable) {
+    showBookingError(b.id, j.reason);
+    return;
+  }
+  const q = j.quote;
+  panel.innerHTML = `
+    <div class="muted" style="margin-top:6px;">
+      ${q.paid > 0 ? `Refund ₱${q.refundAmount} of ₱${q.paid} (${q.refundPercent}%), fee ₱${q.fee}.` : "Nothing has been paid, so nothing is refunded."}
+    </div>
+    <div style="display:flex;gap:8px;margin-top:6px;">
+      <button class="btn cancel-confirm">Cancel booking</button>
+      <button class="btn secondary cancel-keep">Keep it</button>
+    </div>`;
+  panel.querySelector(".cancel-keep").onclick = () => { panel.innerHTML = ""; };
+  panel.querySelector(".cancel-confirm").onclick = async () => {
+    const rc = await fetch(`/api/book/${b.id}/cancel`, { method: "POST" });
+    const jc = await rc.json();
+    if (!rc.ok) {
+      showBookingError(b.id, jc.error || rc.statusText);
+      return;
+    }
+    status.textContent = jc.refund
+      ? `Booking cancelled. ₱${jc.refund.amount} will be refunded.`
+      : "Booking cancelled.";
+    await updateLoyaltyPoints();
+    await loadBookings();
+  };
+}
+
 // ----- BOOKINGS LIST -----
 async function loadBookings() {
+  if (!currentCustomer) {
+    bookingsList.innerHTML = "<div class='muted'>Log in to see your bookings.</div>";
+    return;
+  }
   bookingsList.innerHTML = "Loading…";
   try {
-    const r = await fetch("/api/bookings");
+    const [r, rw] = await Promise.all([fetch("/api/bookings"), fetch("/api/waitlist")]);
     const j = await r.json();
+    const jw = await rw.json();
+    const waitlistHtml = jw.success ? renderWaitlist(jw.entries) : "";
     if (!j.success || !Array.isArray(j.bookings) || j.bookings.length === 0) {
-      bookingsList.innerHTML = "<div class='muted'>No bookings yet.</div>";
+      bookingsList.innerHTML = "<div class='muted'>No bookings yet.</div>" + waitlistHtml;
+      bindWaitlistButtons();
       return;
     }
     const html = j.bookings.map(b => {
       return `<div style="padding:10px;border-bottom:1px solid #f1f5f9">
         <div><strong>${escapeHtml(b.serviceName || "Service")}</strong> — ${escapeHtml(b.unitName || "")}</div>
-        <div class="muted">${escapeHtml(b.date)} ${escapeHtml(b.time)} • ${escapeHtml(b.customerName || "")} • ${b.status || ""}</div>
-        <div class="muted">Price: ${b.price != null ? "₱" + b.price : "TBD"} ${b.couponCode ? " • Coupon: " + escapeHtml(b.couponCode) : ""}</div>
+        <div class="muted">${escapeHtml(b.date)} ${escapeHtml(b.time)}${b.endTime ? "–" + escapeHtml(b.endTime) : ""}${escapeHtml(zoneNote(b.timezone))} • ${escapeHtml(b.customerName || "")} • ${b.status || ""}${b.paymentStatus && b.paymentStatus !== "not_required" ? " • payment: " + escapeHtml(b.paymentStatus) : ""}</div>
+        <div class="muted">Price: ${b.price != null ? "₱" + b.price : "TBD"}${b.pricing && b.pricing.discount ? ` (₱${b.pricing.base} − ₱${b.pricing.discount})` : ""}${renderPriceRules(b.pricing)} ${b.couponCode ? " • Coupon: " + escapeHtml(b.couponCode) : ""}</div>
+        <div><a href="/api/book/${encodeURIComponent(b.id)}/ics" download>Add to calendar</a></div>
+        ${b.status === "pending" && Date.parse(b.holdExpiresAt) > Date.now() ? `<div>
+          <span class="hold-countdown" data-expires="${escapeHtml(b.holdExpiresAt)}"></span>
+          <button class="hold-confirm" data-id="${escapeHtml(b.id)}">${b.paymentStatus === "not_required" ? "Confirm" : "Pay & confirm"}</button>
+        </div>` : ""}
+        ${MANAGEABLE_STATUSES.includes(b.status) ? `<div style="display:flex;gap:8px;margin-top:6px;">
+          <button class="btn secondary booking-reschedule" data-id="${escapeHtml(b.id)}">Reschedule</button>
+          <button class="btn secondary booking-cancel" data-id="${escapeHtml(b.id)}">Cancel</button>
+        </div>` : ""}
+        <div class="booking-panel" data-id="${escapeHtml(b.id)}"></div>
+        <div class="booking-error" data-id="${escapeHtml(b.id)}" style="color:#ef4444"></div>
+        ${renderHistory(b.history, b.timezone)}
       </div>`;
     }).join("");
-    bookingsList.innerHTML = html;
+    bookingsList.innerHTML = html + waitlistHtml +
+      `<div style="padding:10px"><a href="#" id="calendarFeedLink">Subscribe to all my bookings</a> <span id="calendarFeedUrl" class="muted"></span></div>`;
+    $id("calendarFeedLink").onclick = async e => {
+      e.preventDefault();
+      const r = await fetch("/api/calendar/feed");
+      const jf = await r.json();
+      $id("calendarFeedUrl").innerHTML = jf.success
+        ? `<a href="${escapeHtml(jf.webcal)}">${escapeHtml(jf.url)}</a>`
+        : escapeHtml(jf.error || "Could not load feed");
+    };
+    const byId = id => j.bookings.find(b => b.id === id);
+    bookingsList.querySelectorAll(".hold-confirm").forEach(btn => {
+      btn.onclick = () => confirmHeldBooking(byId(btn.dataset.id));
+    });
+    bookingsList.querySelectorAll(".booking-reschedule").forEach(btn => {
+      btn.onclick = () => openReschedule(byId(btn.dataset.id));
+    });
+    bookingsList.querySelectorAll(".booking-cancel").forEach(btn => {
+      btn.onclick = () => openCancel(byId(btn.dataset.id));
+    });
+    bindWaitlistButtons();
+    tickHolds();
   } catch (err) {
     console.error("Error loading bookings:", err);
     bookingsList.innerHTML =
@@ -572,6 +1021,7 @@ async function loadBookings() {
 
 // ----- INIT -----
 (async function init() {
+  await loadMe();
   await loadServices();
   await populateCouponsDropdown();
   await loadBookings();
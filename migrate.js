@@ -0,0 +1,50 @@
+// migrate.js — import the JSON data files into the SQLite database
+//
+// usage: node migrate.js [--from <dir with *.json>] [--to <sqlite file>]
+// Defaults to DATA_DIR (or ./data) and SQLITE_FILE (or data/courtify.db). Rows are
+// upserted by key, so running it again refreshes rather than duplicates.
+
+const path = require("path");
+const { COLLECTIONS, DOCUMENTS, createJsonRepositories } = require("./storage");
+const { createSqliteRepositories } = require("./sqlite-storage");
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+async function migrate() {
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, "data");
+  const from = path.resolve(arg("from", dataDir));
+  const to = path.resolve(arg("to", process.env.SQLITE_FILE || path.join(dataDir, "courtify.db")));
+
+  const source = createJsonRepositories({ dir: from });
+  await source.init(); // replays an interrupted JSON commit first
+  const target = createSqliteRepositories({ file: to });
+
+  const counts = await target.transaction(async repos => {
+    const out = {};
+    for (const name of Object.keys(COLLECTIONS)) {
+      const docs = await source[name].find();
+      for (const doc of docs) await repos[name].put(doc);
+      out[name] = docs.length;
+    }
+    for (const name of Object.keys(DOCUMENTS)) {
+      const doc = await source[name].get();
+      if (doc && Object.keys(doc).length) {
+        await repos[name].set(doc);
+        out[name] = 1;
+      }
+    }
+    return out;
+  });
+  await target.close();
+
+  console.log(`Imported ${from} → ${to}`);
+  for (const [name, n] of Object.entries(counts)) console.log(`  ${name}: ${n}`);
+}
+
+migrate().catch(err => {
+  console.error("Migration failed:", err);
+  process.exit(1);
+});
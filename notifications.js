@@ -0,0 +1,316 @@
+// notifications.js — booking notifications for Courtify
+//
+// Messages are written to a persisted outbox (the `outbox` collection) in
+// the same transaction as the booking change that caused them, then
+// delivered by dispatch(), which the server runs on a timer. A failed
+// send is retried with exponential backoff until maxAttempts.
+//
+// What gets sent is driven by booking.history: every entry pushed since
+// the last save whose action has a template becomes an email or SMS,
+// depending on what booking.contact looks like. A reminder is kept
+// scheduled REMINDER_HOURS before each confirmed session and withdrawn
+// when the booking is moved or released.
+//
+// Transports: { send(message) → Promise }. console and file sinks for
+// development, and a minimal SMTP client for a local test mail server.
+
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const { v4: uuidv4 } = require("uuid");
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^\+?[\d\s()-]{7,}$/;
+const SENDING_LEASE_MS = 60000;
+
+// ---------- templates ----------
+
+const when = b => `${b.date} ${b.time}${b.endTime ? "–" + b.endTime : ""}`;
+const court = b => b.unitName || b.unitId;
+// an instant on the facility's clock, not the server's
+const localTime = (iso, b) =>
+  new Date(iso).toLocaleString("en-PH", { timeZone: b.timezone || undefined, dateStyle: "medium", timeStyle: "short" });
+
+const TEMPLATES = {
+  created: {
+    subject: b => `Booking received: ${court(b)} on ${b.date}`,
+    text: b =>
+      b.status === "pending"
+        ? `Hi ${b.customerName}, we're holding ${court(b)} for you on ${when(b)}. Complete payment to confirm it.`
+        : `Hi ${b.customerName}, your booking for ${court(b)} on ${when(b)} is in.`
+  },
+  promoted: {
+    subject: b => `A slot opened up: ${court(b)} on ${b.date}`,
+    text: b =>
+      `Hi ${b.customerName}, ${court(b)} on ${when(b)} is now free and held for you until ` +
+      `${localTime(b.holdExpiresAt, b)}. Confirm it before then to keep it.`
+  },
+  confirmed: {
+    subject: b => `Booking confirmed: ${court(b)} on ${b.date}`,
+    text: b => `Hi ${b.customerName}, you're all set for ${court(b)} on ${when(b)}. Booking ID: ${b.id}`
+  },
+  rescheduled: {
+    subject: b => `Booking moved: ${court(b)} on ${b.date}`,
+    text: (b, entry) => `Hi ${b.customerName}, your booking has been moved. ${entry.note}. New time: ${when(b)}.`
+  },
+  cancelled: {
+    subject: b => `Booking cancelled: ${court(b)} on ${b.date}`,
+    text: (b, entry) => `Hi ${b.customerName}, your booking for ${court(b)} on ${when(b)} was cancelled. ${entry.note}.`
+  },
+  expired: {
+    subject: b => `Hold released: ${court(b)} on ${b.date}`,
+    text: b => `Hi ${b.customerName}, we released ${court(b)} on ${when(b)} because it wasn't confirmed in time.`
+  },
+  payment_failed: {
+    subject: b => `Payment failed for ${court(b)} on ${b.date}`,
+    text: (b, entry) => `Hi ${b.customerName}, your payment didn't go through (${entry.note}). Your slot is still held for now.`
+  },
+  reminder: {
+    subject: b => `Reminder: ${court(b)} on ${b.date}`,
+    text: b => `Hi ${b.customerName}, see you at ${court(b)} on ${when(b)}.`
+  }
+};
+
+// SMS gets the body only, trimmed to one segment's worth
+const SMS_MAX = 320;
+
+function channelFor(contact) {
+  const c = String(contact || "").trim();
+  if (EMAIL_RE.test(c)) return "email";
+  if (PHONE_RE.test(c)) return "sms";
+  return null;
+}
+
+function render(action, booking, entry = {}) {
+  const t = TEMPLATES[action];
+  const channel = channelFor(booking.contact);
+  if (!t || !channel) return null;
+  const text = t.text(booking, entry);
+  return {
+    channel,
+    to: String(booking.contact).trim(),
+    subject: channel === "email" ? t.subject(booking, entry) : null,
+    text: channel === "sms" ? text.slice(0, SMS_MAX) : text
+  };
+}
+
+// ---------- transports ----------
+
+function createConsoleTransport() {
+  return {
+    async send(m) {
+      console.log(`[${m.channel} → ${m.to}]${m.subject ? " " + m.subject + " —" : ""} ${m.text}`);
+    }
+  };
+}
+
+// One JSON line per message
+function createFileTransport({ file }) {
+  return {
+    async send(m) {
+      const line = JSON.stringify({ ts: new Date().toISOString(), channel: m.channel, to: m.to, subject: m.subject, text: m.text });
+      await fs.promises.appendFile(file, line + "\n", "utf8");
+    }
+  };
+}
+
+// RFC 2047 for non-ASCII headers (₱, dashes)
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = String(text)
+    .replace(/\r?\n/g, "\r\n")
+    .split("\r\n")
+    .map(line => (line.startsWith(".") ? "." + line : line))
+    .join("\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject || "")}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${uuidv4()}@${os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    body
+  ].join("\r\n");
+}
+
+// Plain SMTP without auth or TLS — meant for a local catcher such as
+// MailHog or smtp4dev, not a real relay.
+function createSmtpTransport({ host = "localhost", port = 1025, from, timeoutMs = 10000 }) {
+  return {
+    send(m) {
+      const steps = [
+        [null, 2],
+        [`EHLO ${os.hostname()}`, 2],
+        [`MAIL FROM:<${from}>`, 2],
+        [`RCPT TO:<${m.to}>`, 2],
+        ["DATA", 3],
+        [buildMessage({ from, to: m.to, subject: m.subject, text: m.text }) + "\r\n.", 2],
+        ["QUIT", 2]
+      ];
+      return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        let step = 0;
+        let buffer = "";
+        socket.setEncoding("utf8");
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error("SMTP timeout")));
+        socket.on("error", reject);
+        socket.on("data", chunk => {
+          buffer += chunk;
+          let idx;
+          while ((idx = buffer.indexOf("\r\n")) !== -1) {
+            const line = buffer.slice(0, idx);
+            buffer = buffer.slice(idx + 2);
+            if (line[3] === "-") continue; // more lines of the same reply
+            if (Number(line[0]) !== steps[step][1]) {
+              socket.destroy();
+              return reject(new Error(`SMTP error: ${line}`));
+            }
+            step += 1;
+            if (step === steps.length) {
+              socket.end();
+              return resolve();
+            }
+            socket.write(steps[step][0] + "\r\n");
+          }
+        });
+      });
+    }
+  };
+}
+
+// ---------- outbox ----------
+
+function outboxMessage(booking, kind, rendered, sendAt = null) {
+  const now = new Date().toISOString();
+  return {
+    id: uuidv4(),
+    bookingId: booking.id,
+    customerId: booking.customerId,
+    kind,
+    ...rendered,
+    status: "pending",
+    sendAt: sendAt || now,
+    attempts: 0,
+    nextAttemptAt: sendAt || now,
+    lastError: null,
+    createdAt: now,
+    sentAt: null
+  };
+}
+
+// startOf(booking) → Date of the session start (the server knows the
+// facility timezone).
+function createNotifier({ transports, startOf, reminderHours = 24, maxAttempts = 5, retryBaseMs = 30000 }) {
+  // Queues messages for history entries added since the last save and
+  // keeps the reminder in line with the booking. Runs inside the caller's
+  // transaction, before the booking itself is written.
+  async function enqueue(repos, booking) {
+    const history = booking.history || [];
+    // bookings saved before notifications existed only announce their
+    // newest entry, not their whole past
+    const from = booking.notifiedThrough != null ? booking.notifiedThrough : Math.max(0, history.length - 1);
+    for (const entry of history.slice(from)) {
+      const rendered = render(entry.action, booking, entry);
+      if (rendered) await repos.outbox.insert(outboxMessage(booking, entry.action, rendered));
+    }
+    booking.notifiedThrough = history.length;
+    await syncReminder(repos, booking);
+  }
+
+  // The reminder is tied to the session start it was scheduled for, so a
+  // reschedule replaces it. Bookings made inside the reminder window
+  // don't get one; the confirmation covers it.
+  async function syncReminder(repos, booking) {
+    const start = startOf(booking);
+    const due = new Date(start.getTime() - reminderHours * 3600000);
+    const wanted = ["confirmed", "confirmed_mock"].includes(booking.status) && due > new Date();
+    const to = String(booking.contact || "").trim();
+
+    let kept = false;
+    for (const m of await repos.outbox.find({ bookingId: booking.id, kind: "reminder", status: "pending" })) {
+      if (wanted && !kept && m.sessionStart === start.toISOString() && m.to === to) {
+        kept = true;
+        continue;
+      }
+      m.status = "cancelled";
+      await repos.outbox.update(m);
+    }
+    if (!wanted || kept) return;
+    const rendered = render("reminder", booking);
+    if (rendered) {
+      await repos.outbox.insert({
+        ...outboxMessage(booking, "reminder", rendered, due.toISOString()),
+        sessionStart: start.toISOString()
+      });
+    }
+  }
+
+  // Claims due messages, sends them, records the outcome. Messages left
+  // "sending" by a crashed run are picked up again once their lease ends.
+  async function dispatch(db) {
+    const now = new Date().toISOString();
+    const claimed = await db.transaction(async repos => {
+      const due = [
+        ...(await repos.outbox.find({ status: "pending" })).filter(m => m.nextAttemptAt <= now),
+        ...(await repos.outbox.find({ status: "sending" })).filter(m => m.leaseUntil <= now)
+      ];
+      for (const m of due) {
+        m.status = "sending";
+        m.leaseUntil = new Date(Date.now() + SENDING_LEASE_MS).toISOString();
+        await repos.outbox.update(m);
+      }
+      return due;
+    });
+
+    let sent = 0;
+    for (const m of claimed) {
+      let error = null;
+      try {
+        const transport = transports[m.channel];
+        if (!transport) throw new Error(`No transport for ${m.channel}`);
+        await transport.send(m);
+      } catch (err) {
+        error = err;
+      }
+      await db.transaction(async repos => {
+        const current = await repos.outbox.get(m.id);
+        if (!current || current.status !== "sending") return;
+        current.attempts += 1;
+        current.leaseUntil = null;
+        if (!error) {
+          current.status = "sent";
+          current.sentAt = new Date().toISOString();
+          sent += 1;
+        } else {
+          current.lastError = error.message;
+          if (current.attempts >= maxAttempts) {
+            current.status = "failed";
+          } else {
+            current.status = "pending";
+            current.nextAttemptAt = new Date(Date.now() + retryBaseMs * 2 ** (current.attempts - 1)).toISOString();
+          }
+        }
+        await repos.outbox.update(current);
+      });
+    }
+    return { claimed: claimed.length, sent };
+  }
+
+  return { enqueue, dispatch };
+}
+
+module.exports = {
+  TEMPLATES,
+  channelFor,
+  render,
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createNotifier
+};
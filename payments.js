@@ -0,0 +1,119 @@
+// payments.js — payment providers for Courtify
+//
+// The booking routes only see the gateway returned by
+// createPaymentGateway(); each payment method (card, gcash) maps to a
+// provider object:
+//   name                        — stored on payments, used in webhook URLs
+//   method                      — the payment method it serves
+//   createIntent(intent)        — starts a charge and resolves to
+//                                 { providerRef, status, nextAction }
+//   verifyWebhook(raw, headers) — checks the signature of a callback and
+//                                 returns { type, providerRef, reason }
+//                                 or throws
+//   refund(refund)              — returns money on a settled charge and
+//                                 resolves to { refundRef, status }
+// Webhook event types are "payment.succeeded" and "payment.failed".
+// A real provider is plugged in by passing it to createPaymentGateway in
+// place of a mock.
+
+const crypto = require("crypto");
+const axios = require("axios");
+const { v4: uuidv4 } = require("uuid");
+
+const SIGNATURE_HEADER = "x-courtify-signature";
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// ---------- signatures ----------
+
+// Header format: t=<unix ms>,v1=<hex HMAC-SHA256 of "t.body">
+function signPayload(secret, body, ts = Date.now()) {
+  const mac = crypto.createHmac("sha256", secret).update(`${ts}.${body}`).digest("hex");
+  return `t=${ts},v1=${mac}`;
+}
+
+function verifySignature(secret, body, header) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map(p => p.split("="))
+      .filter(kv => kv.length === 2)
+  );
+  const ts = Number(parts.t);
+  if (!ts || !parts.v1) throw new Error("Missing signature");
+  if (Math.abs(Date.now() - ts) > SIGNATURE_TOLERANCE_MS) throw new Error("Signature expired");
+  const expected = Buffer.from(signPayload(secret, body, ts).split("v1=")[1], "hex");
+  const given = Buffer.from(parts.v1, "hex");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new Error("Invalid signature");
+  }
+}
+
+// ---------- mock gateway ----------
+
+// Simulated outcomes, picked per intent with `simulate`:
+//   success — approved, callback after `delayMs`
+//   decline — declined, callback after `delayMs`
+//   delayed — approved, callback after `slowDelayMs`
+const SIMULATIONS = ["success", "decline", "delayed"];
+
+// Posts signed callbacks back to webhookUrl(name) the way a hosted
+// gateway would, so the webhook route is exercised end to end.
+function createMockProvider({ name, method, secret, webhookUrl, delayMs = 1500, slowDelayMs = 20000, nextAction = null }) {
+  function send(event) {
+    const body = JSON.stringify(event);
+    return axios.post(webhookUrl(name), body, {
+      headers: { "Content-Type": "application/json", [SIGNATURE_HEADER]: signPayload(secret, body) }
+    });
+  }
+
+  return {
+    name,
+    method,
+    async createIntent({ paymentId, amount, currency, simulate = "success" }) {
+      if (!SIMULATIONS.includes(simulate)) {
+        throw new Error(`simulate must be one of ${SIMULATIONS.join(", ")}`);
+      }
+      const providerRef = `${name}_${uuidv4()}`;
+      const event =
+        simulate === "decline"
+          ? { type: "payment.failed", providerRef, paymentId, amount, currency, reason: "Payment declined (mock)" }
+          : { type: "payment.succeeded", providerRef, paymentId, amount, currency };
+      setTimeout(() => {
+        send(event).catch(err => console.error(`${name} webhook delivery failed:`, err.message));
+      }, simulate === "delayed" ? slowDelayMs : delayMs).unref();
+      return { providerRef, status: "processing", nextAction };
+    },
+    // refunds settle immediately on the mock gateway
+    async refund({ providerRef, amount }) {
+      if (!providerRef) throw new Error("Payment has no provider reference");
+      if (!(amount > 0)) throw new Error("Refund amount must be positive");
+      return { refundRef: `${name}_rf_${uuidv4()}`, status: "succeeded" };
+    },
+    verifyWebhook(rawBody, headers) {
+      verifySignature(secret, rawBody, headers[SIGNATURE_HEADER]);
+      const event = JSON.parse(rawBody);
+      if (!event.type || !event.providerRef) throw new Error("Malformed event");
+      return event;
+    }
+  };
+}
+
+// ---------- gateway ----------
+
+function createPaymentGateway({ providers }) {
+  const byMethod = new Map(providers.map(p => [p.method, p]));
+  const byName = new Map(providers.map(p => [p.name, p]));
+  return {
+    methods: () => [...byMethod.keys()],
+    forMethod: method => byMethod.get(String(method || "").toLowerCase()) || null,
+    provider: name => byName.get(name) || null
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPayload,
+  verifySignature,
+  createMockProvider,
+  createPaymentGateway
+};
@@ -0,0 +1,152 @@
+// pricing.js — session prices for Courtify
+//
+// quotePrice(unit, session, pricing) prices a session on a resolved
+// catalog unit: its hourlyRate, adjusted by every rule that applies.
+// Rules are checked minute by minute, so a 16:30–17:30 game pays the
+// evening peak only for its second half. `pricing` comes from the
+// catalog: { rules: [...], holidays: [{ date, name }] }.
+//
+// A rule:
+//   id, label
+//   match    — unit fields it is limited to, each a value or a list,
+//              e.g. { premium: true } or { facilityId: ["a", "b"] }
+//   days     — ["sat", "sun"]; every day when omitted
+//   from, to — HH:mm window of the day; all day when omitted
+//   holiday  — true: holidays only, false: never on a holiday
+//   rate     — replaces the hourly rate
+//   percent  — +/- percentage of the (possibly replaced) rate
+//   perHour  — flat +/- amount per hour
+// Percentages of rules that overlap add up rather than compound.
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = hhmm => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+
+const roundMoney = n => Math.round(Number(n) * 100) / 100;
+
+function matchesUnit(rule, unit) {
+  return Object.entries(rule.match || {}).every(([field, want]) =>
+    Array.isArray(want) ? want.includes(unit[field]) : unit[field] === want
+  );
+}
+
+function appliesOn(rule, day, holiday) {
+  if (rule.days && !rule.days.includes(day)) return false;
+  if (rule.holiday === true && !holiday) return false;
+  if (rule.holiday === false && holiday) return false;
+  return true;
+}
+
+// The minute window [from, to) a rule covers on a day
+function ruleWindow(rule) {
+  return {
+    start: rule.from ? toMinutes(rule.from) : 0,
+    end: rule.to ? toMinutes(rule.to) : 24 * 60
+  };
+}
+
+// Throws on a rule set that can't be used; returns it with defaults
+function validatePricing(pricing) {
+  const rules = (pricing && pricing.rules) || [];
+  const holidays = (pricing && pricing.holidays) || [];
+  if (!Array.isArray(rules) || !Array.isArray(holidays)) throw new Error("pricing.rules and pricing.holidays must be arrays");
+  const ids = new Set();
+  for (const rule of rules) {
+    if (!rule || !rule.id) throw new Error("Every pricing rule needs an id");
+    if (ids.has(rule.id)) throw new Error(`Duplicate pricing rule ${rule.id}`);
+    ids.add(rule.id);
+    for (const key of ["from", "to"]) {
+      if (rule[key] != null && !TIME_RE.test(rule[key])) throw new Error(`${rule.id}: ${key} must be HH:mm`);
+    }
+    if (rule.days != null && !(Array.isArray(rule.days) && rule.days.every(d => DAYS.includes(d)))) {
+      throw new Error(`${rule.id}: days must be a list of ${DAYS.join(", ")}`);
+    }
+    if (rule.rate == null && rule.percent == null && rule.perHour == null) {
+      throw new Error(`${rule.id}: set rate, percent or perHour`);
+    }
+    for (const key of ["rate", "percent", "perHour"]) {
+      if (rule[key] != null && !Number.isFinite(Number(rule[key]))) throw new Error(`${rule.id}: ${key} must be a number`);
+    }
+  }
+  for (const h of holidays) {
+    if (!h || !DATE_RE.test(h.date)) throw new Error("Every holiday needs a YYYY-MM-DD date");
+  }
+  return { rules, holidays };
+}
+
+// session: { date, time, durationMinutes }. Returns { base, hourlyRate,
+// currency, holiday, rules: [{ id, label, minutes, amount }] } where
+// amount is what each rule added (or took off) and base is the total.
+function quotePrice(unit, { date, time, durationMinutes }, pricing = {}) {
+  const hourlyRate = Number(unit.hourlyRate);
+  const currency = unit.currency || "PHP";
+  if (unit.hourlyRate == null || !durationMinutes) {
+    return { base: null, hourlyRate: null, currency, holiday: null, rules: [] };
+  }
+
+  const holiday = (pricing.holidays || []).find(h => h.date === date) || null;
+  const day = DAYS[new Date(date + "T00:00:00Z").getUTCDay()];
+  const rules = (pricing.rules || []).filter(r => matchesUnit(r, unit) && appliesOn(r, day, !!holiday));
+
+  const start = toMinutes(time);
+  const end = start + durationMinutes;
+  // split the session wherever a rule starts or stops
+  const cuts = new Set([start, end]);
+  for (const rule of rules) {
+    const w = ruleWindow(rule);
+    [w.start, w.end].forEach(t => {
+      if (t > start && t < end) cuts.add(t);
+    });
+  }
+  const points = [...cuts].sort((a, b) => a - b);
+
+  let total = 0;
+  const applied = new Map();
+  const add = (rule, minutes, amount) => {
+    const row = applied.get(rule.id) || { id: rule.id, label: rule.label || rule.id, minutes: 0, amount: 0 };
+    row.minutes += minutes;
+    row.amount += amount;
+    applied.set(rule.id, row);
+  };
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i];
+    const minutes = points[i + 1] - from;
+    const active = rules.filter(r => {
+      const w = ruleWindow(r);
+      return from >= w.start && from < w.end;
+    });
+    const hours = minutes / 60;
+
+    const rateRule = active.find(r => r.rate != null);
+    const rate = rateRule ? Number(rateRule.rate) : hourlyRate;
+    total += hourlyRate * hours;
+    if (rateRule) {
+      total += (rate - hourlyRate) * hours;
+      add(rateRule, minutes, (rate - hourlyRate) * hours);
+    }
+    for (const rule of active) {
+      let amount = 0;
+      if (rule.percent != null) amount += rate * Number(rule.percent) / 100 * hours;
+      if (rule.perHour != null) amount += Number(rule.perHour) * hours;
+      if (!amount) continue;
+      total += amount;
+      add(rule, minutes, amount);
+    }
+  }
+
+  return {
+    base: Math.max(0, roundMoney(total)),
+    hourlyRate,
+    currency,
+    holiday: holiday ? holiday.name || holiday.date : null,
+    rules: [...applied.values()].map(r => ({ ...r, amount: roundMoney(r.amount) }))
+  };
+}
+
+module.exports = { quotePrice, validatePricing };
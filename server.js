@@ -3,260 +3,3502 @@
 const express = require("express");
 const path = require("path");
 const fs = require("fs");
-const fsp = fs.promises;
+const crypto = require("crypto");
+const { promisify } = require("util");
 const cors = require("cors");
 const { v4: uuidv4 } = require("uuid");
+const { COLLECTIONS, DOCUMENTS, openStorage } = require("./storage");
+const { createMockProvider, createPaymentGateway } = require("./payments");
+const ics = require("./ics");
+const notifications = require("./notifications");
+const { quotePrice, validatePricing } = require("./pricing");
+const { matchLocation, distanceKm } = require("./locations");
+const { DEFAULT_TIMEZONE, isValidTimezone, zonedParts, slotStart, isoInZone, todayStr } = require("./zones");
+const {
+  POINT_VALUE, pointsCovering, pointsValue, loyaltyEntry, loyaltyAccount, earnLoyalty, reverseLoyalty
+} = require("./loyalty");
+const { isReleased, bookingStart, cancellationQuote } = require("./cancellation");
 
 const app = express();
-app.use(express.json());
-app.use(cors());
+// keep the raw body around: payment webhooks are signed over the exact bytes
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString("utf8"); } }));
+// Cross-origin calls only from CORS_ORIGINS (comma-separated); the
+// bundled frontend is same-origin and needs none.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false, credentials: true }));
 
-// Serve static frontend (index.html, style.css, etc.)
-app.use(express.static(path.join(__dirname)));
+// Serve the frontend's own files and nothing else from this directory.
+// Data lives in DATA_DIR, which is never served.
+const FRONTEND_FILES = ["index.html", "main.js", "style.css"];
+FRONTEND_FILES.forEach(file => {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
+app.use("/api", loadSession);
+app.use("/api/admin", requireStaff("admin"));
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const MOCK_MODE = process.env.MOCK_MODE === "true";
+
+// A pending booking holds its slot this long before it must be confirmed;
+// the sweeper looks for lapsed holds every HOLD_SWEEP_SECONDS.
+const HOLD_TTL_MINUTES = Number(process.env.HOLD_TTL_MINUTES) || 10;
+const HOLD_SWEEP_SECONDS = Number(process.env.HOLD_SWEEP_SECONDS) || 30;
+// Waiters promoted into a freed slot get longer, since they weren't watching
+const WAITLIST_HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES) || 30;
+
+// ---------- payments ----------
+// Card and GCash both go through the local mock gateway for now; it calls
+// back into /api/payments/webhook/:provider with a signed event.
+// Without PAYMENT_WEBHOOK_SECRET a random per-process secret is used, which
+// only the in-process mock gateway can sign with. PAYMENTS_DEV=true lets
+// the client pick the mock outcome with `simulate`.
+const PAYMENTS_DEV = process.env.PAYMENTS_DEV === "true";
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex");
+const PAYMENT_WEBHOOK_BASE = process.env.PAYMENT_WEBHOOK_BASE || `http://localhost:${process.env.PORT || 3000}`;
+const webhookUrl = name => `${PAYMENT_WEBHOOK_BASE}/api/payments/webhook/${name}`;
+
+// ---------- notifications ----------
+// Booking lifecycle messages go through the outbox (see notifications.js).
+// NOTIFY_EMAIL_TRANSPORT: console | file | smtp, NOTIFY_SMS_TRANSPORT:
+// console | file — SMS has no real gateway yet.
+const NOTIFY_INTERVAL_SECONDS = Number(process.env.NOTIFY_INTERVAL_SECONDS) || 15;
+const NOTIFY_FILE = process.env.NOTIFY_FILE || path.join(DATA_DIR, "notifications.log");
+
+function notifyTransport(kind) {
+  if (kind === "file") return notifications.createFileTransport({ file: NOTIFY_FILE });
+  if (kind === "smtp") {
+    return notifications.createSmtpTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT) || 1025,
+      from: process.env.SMTP_FROM || "bookings@courtify.local"
+    });
+  }
+  return notifications.createConsoleTransport();
+}
+
+const notifier = notifications.createNotifier({
+  transports: {
+    email: notifyTransport(process.env.NOTIFY_EMAIL_TRANSPORT || "console"),
+    sms: notifyTransport(process.env.NOTIFY_SMS_TRANSPORT || "console")
+  },
+  startOf: booking => bookingStart(booking),
+  reminderHours: Number(process.env.REMINDER_HOURS) || 24
+});
+
+const payments = createPaymentGateway({
+  providers: [
+    createMockProvider({ name: "mock-card", method: "card", secret: PAYMENT_WEBHOOK_SECRET, webhookUrl }),
+    createMockProvider({
+      name: "mock-gcash",
+      method: "gcash",
+      secret: PAYMENT_WEBHOOK_SECRET,
+      webhookUrl,
+      delayMs: 3000,
+      nextAction: { type: "authorize", message: "Approve the payment in your GCash app" }
+    })
+  ]
+});
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "json";
+
+// ---------- storage ----------
+// All reads/writes go through the repositories in storage.js (db.bookings,
+// db.coupons, …), opened at startup for STORAGE_BACKEND ("json" | "sqlite").
+// Mutations must run inside db.transaction() so check-then-write sequences
+// (conflicts, coupon redemption, …) are atomic across concurrent requests
+// and processes.
+
+let db = null;
+
+// Data files used to sit next to server.js; move any still there into
+// DATA_DIR (files already in DATA_DIR win)
+function moveLegacyDataFiles() {
+  const files = [...Object.values(COLLECTIONS), ...Object.values(DOCUMENTS)]
+    .map(def => def.file)
+    .concat(["journal.log", "notifications.log", "courtify.db", "courtify.db-wal", "courtify.db-shm"]);
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  for (const file of files) {
+    const from = path.join(__dirname, file);
+    const to = path.join(DATA_DIR, file);
+    if (fs.existsSync(from) && !fs.existsSync(to)) {
+      fs.renameSync(from, to);
+      console.log(`Moved ${file} into ${DATA_DIR}`);
+    }
+  }
+}
+
+// seed default 20% coupons for sports plus a few rule-based ones
+function defaultCoupons() {
+  const sportCoupon = sport => normalizeCoupon({
+    code: sport.toUpperCase() + "20", type: "percent", amount: 20, maxUses: 9999,
+    sports: [sport], public: true, description: `20% off ${sport}`
+  });
+  return [
+    ...["badminton", "basketball", "tennis", "pickleball", "soccer"].map(sportCoupon),
+    normalizeCoupon({
+      code: "FIRSTGAME", type: "fixed", amount: 100, firstBookingOnly: true,
+      public: true, description: "₱100 off your first booking"
+    }),
+    normalizeCoupon({
+      code: "OFFPEAK15", type: "percent", amount: 15, offPeakOnly: true, perCustomerLimit: 4,
+      public: true, description: "15% off weekday sessions before 17:00"
+    })
+  ];
+}
+
+// ---------- coupon helpers ----------
+
+// Coupons are keyed by their upper-cased code
+function couponKey(code) {
+  return String(code).trim().toUpperCase();
+}
+
+// Off-peak = weekday session starting before this time
+const OFF_PEAK_BEFORE = "17:00";
+
+function isOffPeak(date, time) {
+  const day = new Date(date + "T00:00:00Z").getUTCDay();
+  return day !== 0 && day !== 6 && toMinutes(time) < toMinutes(OFF_PEAK_BEFORE);
+}
+
+// Fills in rule defaults; throws on an invalid definition.
+// Rules: validFrom/validTo (YYYY-MM-DD, inclusive), sports / serviceIds
+// restrictions, minSpend, perCustomerLimit, firstBookingOnly, offPeakOnly.
+// facilityId ties a coupon to one venue; without it, it works everywhere.
+function normalizeCoupon(input, existing = {}) {
+  const c = { ...existing, ...input };
+  c.code = String(c.code || "").trim().toUpperCase();
+  if (!/^[A-Z0-9_-]{3,32}$/.test(c.code)) throw new Error("code must be 3-32 letters, digits, _ or -");
+  if (c.type !== "percent" && c.type !== "fixed") throw new Error("type must be percent or fixed");
+  c.amount = Number(c.amount);
+  if (!(c.amount > 0) || (c.type === "percent" && c.amount > 100)) throw new Error("Invalid amount");
+  for (const k of ["validFrom", "validTo"]) {
+    if (c[k] != null && !isValidDate(c[k])) throw new Error(`${k} must be YYYY-MM-DD`);
+  }
+  for (const k of ["sports", "serviceIds"]) {
+    if (c[k] != null && !Array.isArray(c[k])) throw new Error(`${k} must be an array`);
+  }
+  return {
+    id: c.id || uuidv4(),
+    code: c.code,
+    description: c.description || "",
+    type: c.type,
+    amount: c.amount,
+    maxUses: c.maxUses != null ? Number(c.maxUses) : null,
+    used: Number(c.used) || 0,
+    active: c.active !== false,
+    public: !!c.public,
+    facilityId: c.facilityId || null,
+    validFrom: c.validFrom || null,
+    validTo: c.validTo || null,
+    sports: c.sports ? c.sports.map(x => String(x).toLowerCase()) : null,
+    serviceIds: c.serviceIds || null,
+    minSpend: c.minSpend != null ? Number(c.minSpend) : null,
+    perCustomerLimit: c.perCustomerLimit != null ? Number(c.perCustomerLimit) : null,
+    firstBookingOnly: !!c.firstBookingOnly,
+    offPeakOnly: !!c.offPeakOnly,
+    createdAt: c.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+
+// Returns { status, error } if the coupon cannot be used, else null.
+// ctx: { amount, date, time, sport, serviceId, facilityId, customerId, bookings }
+// — rules whose context is missing are skipped (e.g. a price-only preview).
+function couponError(coupon, ctx = {}) {
+  if (!coupon || coupon.active === false) return { status: 404, error: "Invalid coupon" };
+  if (coupon.maxUses != null && (coupon.used || 0) >= coupon.maxUses) {
+    return { status: 400, error: "Coupon max uses reached" };
+  }
+
+  const day = ctx.date || todayStr();
+  if (coupon.validFrom && day < coupon.validFrom) {
+    return { status: 400, error: `Coupon is valid from ${coupon.validFrom}` };
+  }
+  if (coupon.validTo && day > coupon.validTo) {
+    return { status: 400, error: "Coupon has expired" };
+  }
+  if (coupon.facilityId && ctx.facilityId && coupon.facilityId !== ctx.facilityId) {
+    return { status: 400, error: "Coupon not valid at this venue" };
+  }
+  if (coupon.sports && coupon.sports.length && ctx.sport &&
+      !coupon.sports.includes(String(ctx.sport).toLowerCase())) {
+    return { status: 400, error: `Coupon only valid for ${coupon.sports.join(", ")}` };
+  }
+  if (coupon.serviceIds && coupon.serviceIds.length && ctx.serviceId &&
+      !coupon.serviceIds.includes(ctx.serviceId)) {
+    return { status: 400, error: "Coupon not valid for this service" };
+  }
+  if (coupon.minSpend && ctx.amount != null && Number(ctx.amount) < coupon.minSpend) {
+    return { status: 400, error: `Minimum spend of ₱${coupon.minSpend} required` };
+  }
+  if (coupon.offPeakOnly && ctx.date && ctx.time && !isOffPeak(ctx.date, ctx.time)) {
+    return { status: 400, error: "Coupon only valid for off-peak sessions" };
+  }
+
+  if (ctx.customerId && ctx.bookings) {
+    const mine = ctx.bookings.filter(b => !isReleased(b) && b.customerId === ctx.customerId);
+    if (coupon.firstBookingOnly && mine.length > 0) {
+      return { status: 400, error: "Coupon only valid on your first booking" };
+    }
+    if (coupon.perCustomerLimit &&
+        mine.filter(b => b.couponCode === coupon.code).length >= coupon.perCustomerLimit) {
+      return { status: 400, error: "You have already used this coupon the maximum number of times" };
+    }
+  }
+  return null;
+}
+
+// What the public (non-admin) endpoints may show about a coupon
+function publicCoupon(c) {
+  return {
+    code: c.code,
+    description: c.description,
+    type: c.type,
+    amount: c.amount,
+    sports: c.sports,
+    facilityId: c.facilityId || null,
+    validTo: c.validTo
+  };
+}
+
+function couponDiscount(coupon, amount) {
+  let discount = 0;
+  if (coupon.type === "percent") {
+    discount = amount * Number(coupon.amount) / 100;
+  } else if (coupon.type === "fixed") {
+    discount = Number(coupon.amount);
+  }
+  return roundMoney(Math.min(amount, discount));
+}
+
+// ---------- catalog (facilities → services → units) ----------
+// Services and units inherit location / indoorOutdoor / openHours /
+// slotMinutes / bufferMinutes / hourlyRate / cancellationPolicy from their
+// parent unless they override them. bufferMinutes is cleanup time kept
+// free between sessions. Opening hours and bookings are in the facility's
+// `timezone` (DEFAULT_TIMEZONE if unset). catalog.pricing holds the price rules and
+// holiday calendar applied on top of hourlyRate (see pricing.js); a
+// facility with its own `pricing` uses that instead.
+
+function defaultCatalog() {
+  return {
+    facilities: [
+      {
+        id: "courtify-sportsplex",
+        name: "Courtify Sportsplex",
+        location: { address: "Kalayaan Ave", barangay: "Poblacion", city: "Makati", lat: 14.5649, lng: 121.0296 },
+        timezone: "Asia/Manila",
+        openHours: { open: "06:00", close: "22:00" },
+        slotMinutes: 60,
+        hourlyRate: 500,
+        currency: "PHP"
+      },
+      {
+        id: "courtify-kapitolyo",
+        name: "Courtify Kapitolyo",
+        location: { address: "East Capitol Dr", barangay: "Kapitolyo", city: "Pasig", lat: 14.5708, lng: 121.0592 },
+        timezone: "Asia/Manila",
+        openHours: { open: "07:00", close: "21:00" },
+        slotMinutes: 60,
+        hourlyRate: 450,
+        currency: "PHP",
+        cancellationPolicy: {
+          rules: [
+            { minHoursBefore: 48, refundPercent: 100 },
+            { minHoursBefore: 12, refundPercent: 50 }
+          ],
+          fee: 50
+        }
+      }
+    ],
+    services: [
+      { id: "sportsplex-badminton", facilityId: "courtify-sportsplex", sport: "badminton", name: "Badminton Court", description: "Single court", indoorOutdoor: "indoor", hourlyRate: 250 },
+      { id: "sportsplex-tennis", facilityId: "courtify-sportsplex", sport: "tennis", name: "Tennis Court", description: "Singles", indoorOutdoor: "outdoor", hourlyRate: 400 },
+      { id: "sportsplex-basketball", facilityId: "courtify-sportsplex", sport: "basketball", name: "Basketball Court", description: "Half-court", indoorOutdoor: "indoor", hourlyRate: 600, bufferMinutes: 15 },
+      { id: "kapitolyo-badminton", facilityId: "courtify-kapitolyo", sport: "badminton", name: "Badminton Court", description: "Single court", indoorOutdoor: "indoor", hourlyRate: 220 },
+      { id: "kapitolyo-pickleball", facilityId: "courtify-kapitolyo", sport: "pickleball", name: "Pickleball Court", description: "Doubles", indoorOutdoor: "outdoor", hourlyRate: 300 },
+      { id: "kapitolyo-soccer", facilityId: "courtify-kapitolyo", sport: "soccer", name: "Futsal Pitch", description: "5-a-side", indoorOutdoor: "outdoor", openHours: { open: "08:00", close: "21:00" }, hourlyRate: 1200, bufferMinutes: 15 }
+    ],
+    units: [
+      { id: "sportsplex-badminton-1", serviceId: "sportsplex-badminton", name: "Badminton Court 1" },
+      { id: "sportsplex-badminton-2", serviceId: "sportsplex-badminton", name: "Badminton Court 2" },
+      { id: "sportsplex-badminton-3", serviceId: "sportsplex-badminton", name: "Badminton Court 3" },
+      { id: "sportsplex-tennis-a", serviceId: "sportsplex-tennis", name: "Tennis Court A" },
+      { id: "sportsplex-tennis-b", serviceId: "sportsplex-tennis", name: "Tennis Court B (covered)", indoorOutdoor: "indoor", hourlyRate: 450, premium: true },
+      { id: "sportsplex-basketball-1", serviceId: "sportsplex-basketball", name: "Basketball Half-court 1" },
+      { id: "kapitolyo-badminton-1", serviceId: "kapitolyo-badminton", name: "Badminton Court 1" },
+      { id: "kapitolyo-badminton-2", serviceId: "kapitolyo-badminton", name: "Badminton Court 2" },
+      { id: "kapitolyo-pickleball-1", serviceId: "kapitolyo-pickleball", name: "Pickleball Court 1" },
+      { id: "kapitolyo-pickleball-2", serviceId: "kapitolyo-pickleball", name: "Pickleball Court 2" },
+      { id: "kapitolyo-soccer-1", serviceId: "kapitolyo-soccer", name: "Futsal Pitch 1", slotMinutes: 90 }
+    ],
+    pricing: {
+      rules: [
+        { id: "evening-peak", label: "Evening peak (from 17:00)", from: "17:00", percent: 20, holiday: false },
+        { id: "weekend", label: "Weekend rate", days: ["sat", "sun"], percent: 15, holiday: false },
+        { id: "holiday", label: "Holiday rate", holiday: true, percent: 30 },
+        { id: "premium", label: "Premium indoor court", match: { indoorOutdoor: "indoor", premium: true }, perHour: 100 }
+      ],
+      holidays: [
+        { date: "2026-01-01", name: "New Year's Day" },
+        { date: "2026-04-02", name: "Maundy Thursday" },
+        { date: "2026-04-03", name: "Good Friday" },
+        { date: "2026-04-09", name: "Araw ng Kagitingan" },
+        { date: "2026-05-01", name: "Labor Day" },
+        { date: "2026-06-12", name: "Independence Day" },
+        { date: "2026-08-31", name: "National Heroes Day" },
+        { date: "2026-11-30", name: "Bonifacio Day" },
+        { date: "2026-12-25", name: "Christmas Day" },
+        { date: "2026-12-30", name: "Rizal Day" },
+        { date: "2027-01-01", name: "New Year's Day" }
+      ]
+    }
+  };
+}
+
+function hasCatalog(data) {
+  return !!data && Array.isArray(data.facilities) && data.facilities.length > 0;
+}
+
+function withCatalogDefaults(data) {
+  data.services = data.services || [];
+  data.units = data.units || [];
+  data.pricing = data.pricing || { rules: [], holidays: [] };
+  return data;
+}
+
+const readCatalogSafe = async () => withCatalogDefaults(await db.catalog.get());
+
+const INHERITED_FIELDS = [
+  "location", "indoorOutdoor", "openHours", "slotMinutes", "bufferMinutes", "hourlyRate", "currency",
+  "cancellationPolicy", "timezone"
+];
+
+function inherit(parent, child) {
+  const out = { ...child };
+  INHERITED_FIELDS.forEach(k => {
+    if (out[k] == null && parent && parent[k] != null) out[k] = parent[k];
+  });
+  return out;
+}
+
+// Service with facility defaults applied and its units attached
+function resolveService(catalog, service) {
+  const facility = catalog.facilities.find(f => f.id === service.facilityId) || null;
+  const svc = inherit(facility, service);
+  svc.facilityName = facility ? facility.name : null;
+  svc.timezone = svc.timezone || DEFAULT_TIMEZONE;
+  svc.units = catalog.units
+    .filter(u => u.serviceId === service.id)
+    .map(u => resolveUnit(catalog, u, svc));
+  // per-slot price, shown by the frontend next to the duration
+  svc.duration = svc.slotMinutes;
+  svc.price = slotPrice(svc.hourlyRate, svc.slotMinutes);
+  return svc;
+}
+
+function resolveUnit(catalog, unit, resolvedService = null) {
+  let svc = resolvedService;
+  if (!svc) {
+    const raw = catalog.services.find(s => s.id === unit.serviceId);
+    const facility = raw && catalog.facilities.find(f => f.id === raw.facilityId);
+    svc = raw ? inherit(facility, raw) : {};
+  }
+  const u = inherit(svc, unit);
+  u.facilityId = svc.facilityId || null;
+  u.timezone = u.timezone || DEFAULT_TIMEZONE;
+  u.sport = svc.sport || null;
+  u.serviceName = svc.name || null;
+  if (!u.description) u.description = u.indoorOutdoor === "indoor" ? "Indoor" : "Outdoor";
+  u.price = slotPrice(u.hourlyRate, u.slotMinutes);
+  return u;
+}
+
+function findUnit(catalog, unitId) {
+  const unit = catalog.units.find(u => String(u.id) === String(unitId));
+  return unit ? resolveUnit(catalog, unit) : null;
+}
+
+function findFacility(catalog, facilityId) {
+  return catalog.facilities.find(f => f.id === facilityId) || null;
+}
+
+function roundMoney(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+function pricingFor(catalog, facilityId) {
+  const facility = findFacility(catalog, facilityId);
+  return (facility && facility.pricing) || catalog.pricing;
+}
+
+// Plain rate × duration, before price rules — the "from" price
+function slotPrice(hourlyRate, minutes) {
+  if (hourlyRate == null || !minutes) return null;
+  return roundMoney(Number(hourlyRate) * minutes / 60);
+}
+
+// The pricing record a booking starts from: the catalog's price rules
+// applied to this session, before any coupon or points.
+function sessionPricing(catalog, unit, date, time, durationMinutes) {
+  const quote = quotePrice(unit, { date, time, durationMinutes }, pricingFor(catalog, unit.facilityId));
+  return {
+    base: quote.base,
+    discount: 0,
+    loyaltyDiscount: 0,
+    final: quote.base,
+    currency: quote.currency,
+    hourlyRate: unit.hourlyRate,
+    rules: quote.rules,
+    holiday: quote.holiday,
+    couponCode: null,
+    pointsRedeemed: 0
+  };
+}
+
+// Fuzzy match on barangay / city / address (see locations.js)
+function matchesLocation(loc, query) {
+  if (!query || !String(query).trim()) return true;
+  return matchLocation(loc, query) != null;
+}
+
+// Shared filters for /api/services and /api/units
+// q: { facilityId, serviceId, sport, location, indoorOutdoor }
+function matchesFilters(entry, q) {
+  if (q.facilityId && entry.facilityId !== q.facilityId) return false;
+  if (q.serviceId && entry.serviceId !== q.serviceId) return false;
+  if (q.sport) {
+    const sport = String(q.sport).toLowerCase();
+    const name = String(entry.serviceName || entry.name || "").toLowerCase();
+    if (String(entry.sport || "").toLowerCase() !== sport && !name.includes(sport)) return false;
+  }
+  if (q.indoorOutdoor && q.indoorOutdoor !== "any" && entry.indoorOutdoor !== q.indoorOutdoor) {
+    return false;
+  }
+  return matchesLocation(entry.location, q.location);
+}
+
+// ---------- date / time helpers ----------
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidDate(str) {
+  if (!DATE_RE.test(String(str))) return false;
+  const d = new Date(str + "T00:00:00Z");
+  return !isNaN(d) && d.toISOString().slice(0, 10) === str;
+}
+
+// "HH:mm" → minutes since midnight
+function toMinutes(time) {
+  const [h, m] = String(time).split(":").map(Number);
+  return h * 60 + (m || 0);
+}
+
+// minutes since midnight → "HH:mm"
+function fromMinutes(mins) {
+  const h = Math.floor(mins / 60);
+  const m = mins % 60;
+  return String(h).padStart(2, "0") + ":" + String(m).padStart(2, "0");
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings (UTC, so no DST/offset drift)
+function addDays(date, n) {
+  const d = new Date(date + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Error message if a session at `unit` would already have started
+function pastSlotError(unit, date, time, now = new Date()) {
+  return slotStart(date, time, unit.timezone) <= now ? "That time has already passed" : null;
+}
+
+function dateRange(from, to) {
+  const out = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) out.push(d);
+  return out;
+}
+
+// ---------- booking helpers ----------
+
+// "9:00" / "09:00" → "09:00"; null if not a valid 24-hour time
+function normalizeTime(time) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(time || "").trim());
+  if (!m) return null;
+  const t = m[1].padStart(2, "0") + ":" + m[2];
+  return TIME_RE.test(t) ? t : null;
+}
+
+// First active booking on unitId/date whose window overlaps [start, end)
+// (minutes since midnight). Bookings without a stored duration are assumed
+// to last `defaultMinutes`; `bufferMinutes` of cleanup time is kept free
+// on either side of every session.
+function findOverlap(bookings, unitId, date, start, end, opts = {}) {
+  const { defaultMinutes = 60, bufferMinutes = 0, excludeId = null } = opts;
+  for (const b of bookings) {
+    if (excludeId && b.id === excludeId) continue;
+    if (!blocksSlot(b)) continue;
+    if (String(b.unitId) !== String(unitId) || String(b.date) !== String(date)) continue;
+    const bStart = toMinutes(b.time);
+    const bEnd = bStart + (Number(b.durationMinutes) || defaultMinutes);
+    if (bStart < end + bufferMinutes && start < bEnd + bufferMinutes) {
+      return { booking: b, start: bStart, end: bEnd };
+    }
+  }
+  return null;
+}
+
+// Conflict for a session of `durationMinutes` at date/time on a resolved
+// catalog unit, or null if the window is free.
+function hasConflict(bookings, unit, date, time, durationMinutes, excludeId = null) {
+  const start = toMinutes(time);
+  return findOverlap(bookings, unit.id, date, start, start + durationMinutes, {
+    defaultMinutes: unit.slotMinutes,
+    bufferMinutes: Number(unit.bufferMinutes) || 0,
+    excludeId
+  });
+}
+
+function conflictWindow(hit, date) {
+  return { date, start: fromMinutes(hit.start), end: fromMinutes(hit.end) };
+}
+
+// Validates a date/time/duration against a unit's open hours; returns an
+// error string or null.
+function checkSessionWindow(unit, time, durationMinutes) {
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 30) {
+    return "durationMinutes must be integer ≥ 30";
+  }
+  const start = toMinutes(time);
+  if (
+    start < toMinutes(unit.openHours.open) ||
+    start + durationMinutes > toMinutes(unit.openHours.close)
+  ) {
+    return "Requested time is outside open hours";
+  }
+  return null;
+}
+
+// startsAt / endsAt: the session as ISO timestamps with the facility's
+// UTC offset, kept in step with date/time/durationMinutes
+function stampSession(booking, defaultMinutes = 60) {
+  const start = slotStart(booking.date, booking.time, booking.timezone);
+  const minutes = Number(booking.durationMinutes) || defaultMinutes;
+  booking.startsAt = isoInZone(start, booking.timezone);
+  booking.endsAt = isoInZone(new Date(start.getTime() + minutes * 60000), booking.timezone);
+}
+
+// History actors: { type: "customer" | "staff" | "system", id, name, role? }
+const SYSTEM_ACTOR = { type: "system", id: null, name: "system" };
+
+function actorOf(req) {
+  if (req.staff) return { type: "staff", id: req.staff.id, name: req.staff.name, role: req.staff.role };
+  if (req.customer) return { type: "customer", id: req.customer.id, name: req.customer.name };
+  return SYSTEM_ACTOR;
+}
+
+function pushHistory(booking, actor, action, note = "") {
+  booking.history = booking.history || [];
+  booking.history.push({
+    ts: new Date().toISOString(),
+    actor: actor || SYSTEM_ACTOR,
+    action,
+    note
+  });
+}
+
+// Every booking write goes through here so the notifications for its new
+// history entries are queued in the same transaction, and live
+// availability watchers hear about it once it commits. A reschedule
+// passes the date it moved from.
+async function saveBooking(repos, booking, { movedFrom = null } = {}) {
+  await notifier.enqueue(repos, booking);
+  await repos.bookings.put(booking);
+  announceBooking(repos, booking, movedFrom);
+}
+
+// ---------- holds ----------
+
+// Bookings stored before holds existed fall back to createdAt + TTL
+function holdExpiry(booking) {
+  if (booking.holdExpiresAt) return Date.parse(booking.holdExpiresAt);
+  return Date.parse(booking.createdAt) + HOLD_TTL_MINUTES * 60000;
+}
+
+function holdLapsed(booking, now = Date.now()) {
+  return booking.status === "pending" && holdExpiry(booking) <= now;
+}
+
+// A lapsed hold stops blocking its slot even before the sweeper reaches it
+function blocksSlot(booking, now = Date.now()) {
+  return !isReleased(booking) && !holdLapsed(booking, now);
+}
+
+// ---------- health ----------
+
+app.get("/api/ping", (req, res) => {
+  res.json({ ok: true, ts: new Date().toISOString() });
+});
+
+// ---------- CATALOG ----------
+
+app.get("/api/facilities", async (req, res) => {
+  try {
+    const catalog = await readCatalogSafe();
+    const facilities = catalog.facilities.filter(f => matchesLocation(f.location, req.query.location));
+    res.json({ success: true, facilities });
+  } catch (err) {
+    console.error("GET /api/facilities error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// List services — query: facilityId, sport, location, indoorOutdoor
+// A service matches indoorOutdoor if any of its units does.
+app.get("/api/services", async (req, res) => {
+  try {
+    const catalog = await readCatalogSafe();
+    const { indoorOutdoor, ...rest } = req.query;
+    const services = catalog.services
+      .map(s => resolveService(catalog, s))
+      .filter(s => matchesFilters(s, rest))
+      .map(s => {
+        if (!indoorOutdoor || indoorOutdoor === "any") return s;
+        return { ...s, units: s.units.filter(u => u.indoorOutdoor === indoorOutdoor) };
+      })
+      .filter(s => s.units.length > 0);
+    res.json({ success: true, services });
+  } catch (err) {
+    console.error("GET /api/services error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+app.get("/api/services/:id", async (req, res) => {
+  try {
+    const catalog = await readCatalogSafe();
+    const service = catalog.services.find(s => s.id === req.params.id);
+    if (!service) {
+      return res.status(404).json({ success: false, error: "Service not found" });
+    }
+    res.json({ success: true, service: resolveService(catalog, service) });
+  } catch (err) {
+    console.error("GET /api/services/:id error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// List units — query: facilityId, serviceId, sport, location, indoorOutdoor
+app.get("/api/units", async (req, res) => {
+  try {
+    const catalog = await readCatalogSafe();
+    const units = catalog.units
+      .map(u => resolveUnit(catalog, u))
+      .filter(u => matchesFilters(u, req.query));
+    res.json({ success: true, units });
+  } catch (err) {
+    console.error("GET /api/units error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+app.get("/api/units/:id", async (req, res) => {
+  try {
+    const catalog = await readCatalogSafe();
+    const unit = catalog.units.find(u => u.id === req.params.id);
+    if (!unit) {
+      return res.status(404).json({ success: false, error: "Unit not found" });
+    }
+    res.json({ success: true, unit: resolveUnit(catalog, unit) });
+  } catch (err) {
+    console.error("GET /api/units/:id error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ---------- AVAILABILITY ----------
+
+const MAX_RANGE_DAYS = 31;
+const MAX_TIMES_PER_DAY = 4;
+
+// All start times on `date` that fit inside the unit's open hours, are
+// still ahead on the facility's clock and are not already taken.
+function freeStartTimes(unit, date, bookings, now = new Date()) {
+  const open = toMinutes(unit.openHours.open);
+  const close = toMinutes(unit.openHours.close);
+  const times = [];
+  for (let t = open; t + unit.slotMinutes <= close; t += unit.slotMinutes) {
+    const time = fromMinutes(t);
+    if (pastSlotError(unit, date, time, now)) continue;
+    if (!hasConflict(bookings, unit, date, time, unit.slotMinutes)) times.push(time);
+  }
+  return times;
+}
+
+// body: { preferredLocation, indoorOutdoor, sport, facilityId?, serviceId?, unitId?,
+//         excludeBookingId?, dateFrom, dateTo, preferredTime }
+// returns { results: [{ service, units: [{ unit, startTimes: { date: [times] },
+//                                           prices: { date: { time: price } } }] }] }
+// where each price has the catalog's price rules applied.
+app.post("/api/court/availability/check", async (req, res) => {
+  const p = req.body || {};
+
+  if (!p.dateFrom || !p.dateTo) {
+    return res
+      .status(400)
+      .json({ success: false, error: "dateFrom and dateTo required" });
+  }
+  if (!isValidDate(p.dateFrom) || !isValidDate(p.dateTo) || p.dateFrom > p.dateTo) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid date range" });
+  }
+  if (dateRange(p.dateFrom, p.dateTo).length > MAX_RANGE_DAYS) {
+    return res
+      .status(400)
+      .json({ success: false, error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+  }
+  if (p.preferredTime && !TIME_RE.test(p.preferredTime)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "preferredTime must be HH:mm" });
+  }
+
+  try {
+    const catalog = await readCatalogSafe();
+    // excludeBookingId: a booking being rescheduled doesn't block its own move
+    const bookings = (await db.bookings.find({ date: { from: p.dateFrom, to: p.dateTo } }))
+      .filter(b => !p.excludeBookingId || b.id !== p.excludeBookingId);
+    const dates = dateRange(p.dateFrom, p.dateTo);
+    const preferred = p.preferredTime ? toMinutes(p.preferredTime) : null;
+    const distance = time => (preferred == null ? 0 : Math.abs(toMinutes(time) - preferred));
+    const query = {
+      facilityId: p.facilityId,
+      serviceId: p.serviceId,
+      sport: p.sport,
+      location: p.preferredLocation,
+      indoorOutdoor: p.indoorOutdoor
+    };
+
+    const results = [];
+    catalog.services
+      .filter(s => !p.serviceId || s.id === p.serviceId)
+      .map(s => resolveService(catalog, s))
+      .forEach(svc => {
+        const units = svc.units
+          .filter(u => (!p.unitId || u.id === p.unitId) && matchesFilters(u, query))
+          .map(unit => {
+            const startTimes = {};
+            const prices = {};
+            let best = Infinity;
+            dates.forEach(date => {
+              const times = freeStartTimes(unit, date, bookings)
+                .sort((a, b) => distance(a) - distance(b) || a.localeCompare(b))
+                .slice(0, MAX_TIMES_PER_DAY);
+              if (times.length === 0) return;
+              best = Math.min(best, distance(times[0]));
+              startTimes[date] = times.sort();
+              const pricing = pricingFor(catalog, unit.facilityId);
+              prices[date] = {};
+              times.forEach(time => {
+                prices[date][time] = quotePrice(unit, { date, time, durationMinutes: unit.slotMinutes }, pricing).base;
+              });
+            });
+            return { unit, startTimes, prices, best };
+          })
+          .sort((a, b) => a.best - b.best);
+
+        if (units.length === 0) return;
+        const { units: _units, ...service } = svc;
+        results.push({
+          service,
+          best: units[0].best,
+          units: units.map(({ best, ...u }) => u)
+        });
+      });
+
+    results.sort((a, b) => a.best - b.best);
+    res.json({
+      success: true,
+      results: results.map(({ best, ...r }) => r)
+    });
+  } catch (err) {
+    console.error("POST /api/court/availability/check error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ---------- LOCATION SEARCH ----------
+// Venues that have units fitting the customer's filters. With lat/lng
+// they are ranked nearest first; otherwise by how well the location text
+// matched, then by how soon they have a free slot. Each result carries
+// that soonest free slot so the list can link straight to availability.
+
+const LOCATION_SEARCH_DAYS = 7;
+
+// Earliest free start time on any of `units` over `dates`:
+// { unit, date, time } or null
+function soonestFreeSlot(units, dates, bookings) {
+  for (const date of dates) {
+    let best = null;
+    units.forEach(unit => {
+      const time = freeStartTimes(unit, date, bookings)[0];
+      if (time && (!best || time < best.time)) best = { unit, date, time };
+    });
+    if (best) return best;
+  }
+  return null;
+}
+
+// query: location, sport, indoorOutdoor, lat + lng, dateFrom (default
+// today), days (how far ahead to look for a free slot)
+app.get("/api/locations/search", async (req, res) => {
+  const q = req.query;
+  const hasLat = q.lat != null && q.lat !== "";
+  const hasLng = q.lng != null && q.lng !== "";
+  if (hasLat !== hasLng) {
+    return res.status(400).json({ success: false, error: "lat and lng go together" });
+  }
+  const origin = hasLat ? { lat: Number(q.lat), lng: Number(q.lng) } : null;
+  if (origin && !(Math.abs(origin.lat) <= 90 && Math.abs(origin.lng) <= 180)) {
+    return res.status(400).json({ success: false, error: "Invalid lat/lng" });
+  }
+  const days = q.days != null && q.days !== "" ? Number(q.days) : LOCATION_SEARCH_DAYS;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RANGE_DAYS) {
+    return res
+      .status(400)
+      .json({ success: false, error: `days must be between 1 and ${MAX_RANGE_DAYS}` });
+  }
+  if (q.dateFrom && !isValidDate(q.dateFrom)) {
+    return res.status(400).json({ success: false, error: "Invalid dateFrom" });
+  }
+
+  try {
+    const catalog = await readCatalogSafe();
+    const today = todayStr();
+    const from = q.dateFrom && q.dateFrom > today ? q.dateFrom : today;
+    const dates = dateRange(from, addDays(from, days - 1));
+    const bookings = await db.bookings.find({ date: { from, to: dates[dates.length - 1] } });
+    const filters = { sport: q.sport, indoorOutdoor: q.indoorOutdoor };
+    const text = q.location && String(q.location).trim();
+
+    const locations = [];
+    catalog.facilities.forEach(facility => {
+      const match = text ? matchLocation(facility.location, text) : null;
+      if (text && !match) return;
+      const units = catalog.units
+        .map(u => resolveUnit(catalog, u))
+        .filter(u => u.facilityId === facility.id && matchesFilters(u, filters));
+      if (units.length === 0) return;
+
+      const slot = soonestFreeSlot(units, dates, bookings);
+      locations.push({
+        facility: { id: facility.id, name: facility.name, location: facility.location || null },
+        match,
+        distanceKm: origin ? distanceKm(origin, facility.location) : null,
+        sports: [...new Set(units.map(u => u.sport))],
+        indoorOutdoor: [...new Set(units.map(u => u.indoorOutdoor))],
+        units: units.length,
+        soonest: slot && {
+          unitId: slot.unit.id,
+          unitName: slot.unit.name,
+          serviceId: slot.unit.serviceId,
+          sport: slot.unit.sport,
+          date: slot.date,
+          time: slot.time,
+          price: quotePrice(
+            slot.unit,
+            { date: slot.date, time: slot.time, durationMinutes: slot.unit.slotMinutes },
+            pricingFor(catalog, facility.id)
+          ).base
+        }
+      });
+    });
+
+    // venues without coordinates go after the ones we can measure
+    const away = l => (l.distanceKm != null ? l.distanceKm : Number.MAX_VALUE);
+    const when = l => (l.soonest ? `${l.soonest.date} ${l.soonest.time}` : "~");
+    locations.sort(
+      (a, b) =>
+        (origin ? away(a) - away(b) : 0) ||
+        (b.match ? b.match.score : 0) - (a.match ? a.match.score : 0) ||
+        when(a).localeCompare(when(b)) ||
+        a.facility.name.localeCompare(b.facility.name)
+    );
+    res.json({ success: true, from, to: dates[dates.length - 1], locations });
+  } catch (err) {
+    console.error("GET /api/locations/search error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ---------- LIVE AVAILABILITY (SSE) ----------
+// GET /api/availability/stream?unitIds=a,b&dateFrom=…&dateTo=… holds a
+// Server-Sent Events stream open. It starts with the free start times of
+// every unit/date watched, then sends a fresh list for a unit/date each
+// time a booking there is created, confirmed, moved, cancelled or
+// expires: event "availability", data { type, bookingId, unitId, date,
+// free: [times] }. type is "snapshot" for the opening lists.
+// Each open stream holds a socket, so there are at most
+// LIVE_MAX_STREAMS of them, and LIVE_MAX_STREAMS_PER_CLIENT per customer
+// (or per IP address when logged out); beyond that streams are refused.
+
+const LIVE_EVENTS = ["created", "promoted", "confirmed", "rescheduled", "cancelled", "expired"];
+const LIVE_HEARTBEAT_SECONDS = 25;
+const LIVE_MAX_STREAMS = Number(process.env.LIVE_MAX_STREAMS) || 500;
+const LIVE_MAX_STREAMS_PER_CLIENT = Number(process.env.LIVE_MAX_STREAMS_PER_CLIENT) || 4;
+const liveWatchers = new Set();
+
+function liveClient(req) {
+  return req.customer ? `customer:${req.customer.id}` : `ip:${req.ip}`;
+}
+
+// Error response for a stream over the limits, or null
+function liveLimitError(client) {
+  if (liveWatchers.size >= LIVE_MAX_STREAMS) {
+    return { status: 503, error: "Too many live availability streams; try again later" };
+  }
+  const mine = [...liveWatchers].filter(w => w.client === client).length;
+  if (mine >= LIVE_MAX_STREAMS_PER_CLIENT) {
+    return { status: 429, error: "Too many live availability streams open; close one first" };
+  }
+  return null;
+}
+
+async function freeTimesFor(catalog, unitId, date) {
+  const unit = findUnit(catalog, unitId);
+  if (!unit) return null;
+  return freeStartTimes(unit, date, await db.bookings.find({ unitId: unit.id, date }));
+}
+
+function sendLive(watcher, payload) {
+  watcher.res.write(`event: availability\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+async function publishAvailability(type, bookingId, unitId, dates) {
+  const catalog = await readCatalogSafe();
+  for (const date of dates) {
+    const watchers = [...liveWatchers].filter(w => w.dates.has(date) && w.unitIds.has(unitId));
+    if (!watchers.length) continue;
+    const free = await freeTimesFor(catalog, unitId, date);
+    if (free) watchers.forEach(w => sendLive(w, { type, bookingId, unitId, date, free }));
+  }
+}
+
+// Called by saveBooking; only lifecycle changes are worth announcing
+function announceBooking(repos, booking, movedFrom) {
+  const last = (booking.history || [])[booking.history.length - 1];
+  if (!last || !LIVE_EVENTS.includes(last.action)) return;
+  const { id, unitId, date } = booking;
+  const dates = movedFrom && movedFrom !== date ? [movedFrom, date] : [date];
+  repos.afterCommit(() => {
+    publishAvailability(last.action, id, unitId, dates)
+      .catch(err => console.error("Live availability error:", err));
+  });
+}
+
+app.get("/api/availability/stream", async (req, res) => {
+  const { dateFrom, dateTo } = req.query;
+  const unitIds = String(req.query.unitIds || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (!unitIds.length || !dateFrom || !dateTo) {
+    return res
+      .status(400)
+      .json({ success: false, error: "unitIds, dateFrom and dateTo required" });
+  }
+  if (!isValidDate(dateFrom) || !isValidDate(dateTo) || dateFrom > dateTo) {
+    return res.status(400).json({ success: false, error: "Invalid date range" });
+  }
+  const dates = dateRange(dateFrom, dateTo);
+  if (dates.length > MAX_RANGE_DAYS) {
+    return res
+      .status(400)
+      .json({ success: false, error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+  }
+
+  try {
+    const catalog = await readCatalogSafe();
+    const units = unitIds.filter(id => findUnit(catalog, id));
+    if (!units.length) return res.status(404).json({ success: false, error: "Unit not found" });
+    const client = liveClient(req);
+    const limitErr = liveLimitError(client);
+    if (limitErr) {
+      return res.status(limitErr.status).set("Retry-After", "30").json({ success: false, error: limitErr.error });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+
+    const watcher = { res, client, unitIds: new Set(units), dates: new Set(dates) };
+    liveWatchers.add(watcher);
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), LIVE_HEARTBEAT_SECONDS * 1000);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      liveWatchers.delete(watcher);
+    });
+
+    // the opening snapshot also resyncs a client after a reconnect
+    for (const unitId of units) {
+      for (const date of dates) {
+        const free = await freeTimesFor(catalog, unitId, date);
+        sendLive(watcher, { type: "snapshot", bookingId: null, unitId, date, free });
+      }
+    }
+  } catch (err) {
+    console.error("GET /api/availability/stream error:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// ---------- GC Mini spec: availability check & booking estimate ----------
+// Errors follow the spec contract ({ message }) rather than { success, error }.
+
+const NEXT_AVAILABLE_SEARCH_DAYS = 7;
+
+function specError(res, status, message) {
+  return res.status(status).json({ message });
+}
+
+// Validates facilityId (+ optional serviceId/unitId) and returns the
+// facility with the resolved units that could serve the request.
+function resolveSpecTarget(catalog, p) {
+  const facility = catalog.facilities.find(f => f.id === p.facilityId);
+  if (!facility) return { status: 404, message: "facility not found" };
+
+  let units = catalog.units
+    .map(u => resolveUnit(catalog, u))
+    .filter(u => u.facilityId === facility.id);
+  if (p.serviceId) {
+    units = units.filter(u => u.serviceId === p.serviceId);
+    if (units.length === 0) return { status: 404, message: "service not found" };
+  }
+  if (p.unitId) {
+    units = units.filter(u => u.id === p.unitId);
+    if (units.length === 0) return { status: 404, message: "unit not found" };
+  }
+  return { facility, units };
+}
+
+function validateDuration(value) {
+  if (value == null || value === "") return { status: 400, message: "durationMinutes is required" };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 30) {
+    return { status: 422, message: "durationMinutes must be integer ≥ 30" };
+  }
+  return null;
+}
+
+// Earliest free window of `duration` minutes on `unit`, starting no
+// earlier than `from` on `date`, searching forward day by day.
+function nextFreeWindow(unit, bookings, date, from, duration) {
+  for (let i = 0; i < NEXT_AVAILABLE_SEARCH_DAYS; i++) {
+    const day = addDays(date, i);
+    const open = toMinutes(unit.openHours.open);
+    const close = toMinutes(unit.openHours.close);
+    let t = Math.max(open, i === 0 ? from : open);
+    while (t + duration <= close) {
+      const hit = hasConflict(bookings, unit, day, fromMinutes(t), duration);
+      if (!hit) return { date: day, start: t, end: t + duration };
+      t = Math.max(t + 1, hit.end + (Number(unit.bufferMinutes) || 0));
+    }
+  }
+  return null;
+}
+
+// body: { facilityId, date, startTime, durationMinutes, serviceId?, unitId? }
+app.post("/api/availability/check", async (req, res) => {
+  const p = req.body || {};
+
+  for (const field of ["facilityId", "date", "startTime"]) {
+    if (!p[field]) return specError(res, 400, `${field} is required`);
+  }
+  const durationErr = validateDuration(p.durationMinutes);
+  if (durationErr) return specError(res, durationErr.status, durationErr.message);
+  if (!isValidDate(p.date)) return specError(res, 422, "date must be YYYY-MM-DD");
+  if (!TIME_RE.test(p.startTime)) return specError(res, 422, "startTime must be HH:mm (24-hour)");
+
+  try {
+    const catalog = await readCatalogSafe();
+    const target = resolveSpecTarget(catalog, p);
+    if (target.message) return specError(res, target.status, target.message);
+    // "the past" is judged on the facility's own clock
+    const timezone = target.facility.timezone || DEFAULT_TIMEZONE;
+    if (p.date < todayStr(timezone)) return specError(res, 422, "date cannot be in the past");
+    if (slotStart(p.date, p.startTime, timezone) <= new Date()) {
+      return specError(res, 422, "startTime cannot be in the past");
+    }
+
+    const duration = Number(p.durationMinutes);
+    const start = toMinutes(p.startTime);
+    const end = start + duration;
+    const base = {
+      facilityId: target.facility.id,
+      date: p.date,
+      startTime: p.startTime,
+      endTime: fromMinutes(end)
+    };
+
+    const openUnits = target.units.filter(u =>
+      toMinutes(u.openHours.open) <= start && end <= toMinutes(u.openHours.close)
+    );
+    if (openUnits.length === 0) {
+      return specError(res, 422, "Requested time window is outside open hours");
+    }
+
+    const bookings = await db.bookings.find({
+      date: { from: p.date, to: addDays(p.date, NEXT_AVAILABLE_SEARCH_DAYS) }
+    });
+    const conflicts = [];
+    for (const unit of openUnits) {
+      const hit = hasConflict(bookings, unit, p.date, p.startTime, duration);
+      if (!hit) {
+        return res.json({ ...base, unitId: unit.id, isAvailable: true });
+      }
+      conflicts.push({ unit, hit, next: nextFreeWindow(unit, bookings, p.date, hit.end, duration) });
+    }
+
+    // every candidate unit is taken: suggest the soonest alternative
+    const rank = c => (c.next ? `${c.next.date} ${fromMinutes(c.next.start)}` : "~");
+    conflicts.sort((a, b) => rank(a).localeCompare(rank(b)));
+    const best = conflicts[0];
+    const body = {
+      ...base,
+      isAvailable: false,
+      conflict: { start: fromMinutes(best.hit.start), end: fromMinutes(best.hit.end) }
+    };
+    if (!best.next) {
+      return res.status(409).json({
+        message: "Court is not available at the requested time.",
+        ...body,
+        nextAvailable: null
+      });
+    }
+    body.nextAvailable = {
+      startTime: fromMinutes(best.next.start),
+      endTime: fromMinutes(best.next.end),
+      date: best.next.date,
+      unitId: best.unit.id
+    };
+    res.json(body);
+  } catch (err) {
+    console.error("POST /api/availability/check error:", err);
+    specError(res, 500, "Something went wrong.");
+  }
+});
+
+// body: { facilityId, durationMinutes, serviceId?, unitId?, date?, startTime? }
+// With date and startTime the price rules for that session are applied
+// and listed in appliedRules; without them it is the plain rate.
+app.post("/api/booking/estimate", async (req, res) => {
+  const p = req.body || {};
+
+  if (!p.facilityId) return specError(res, 400, "facilityId is required");
+  const durationErr = validateDuration(p.durationMinutes);
+  if (durationErr) return specError(res, durationErr.status, durationErr.message);
+  if (!p.date !== !p.startTime) return specError(res, 400, "date and startTime go together");
+  if (p.date && !isValidDate(p.date)) return specError(res, 422, "date must be YYYY-MM-DD");
+  if (p.startTime && !TIME_RE.test(p.startTime)) return specError(res, 422, "startTime must be HH:mm (24-hour)");
+
+  try {
+    const catalog = await readCatalogSafe();
+    const target = resolveSpecTarget(catalog, p);
+    if (target.message) return specError(res, target.status, target.message);
+    if (p.date && p.date < todayStr(target.facility.timezone || DEFAULT_TIMEZONE)) {
+      return specError(res, 422, "date cannot be in the past");
+    }
+
+    // a specific unit/service carries its own rate; otherwise the facility's
+    let rated = { ...target.facility, facilityId: target.facility.id };
+    if (p.unitId) {
+      rated = target.units[0];
+    } else if (p.serviceId) {
+      rated = resolveService(catalog, catalog.services.find(s => s.id === p.serviceId));
+    }
+    const duration = Number(p.durationMinutes);
+    const hourlyRate = Number(rated.hourlyRate);
+    const body = {
+      facilityId: target.facility.id,
+      hourlyRate,
+      durationMinutes: duration,
+      estimatedPrice: slotPrice(hourlyRate, duration),
+      currency: rated.currency || "PHP"
+    };
+    if (p.date) {
+      const quote = quotePrice(
+        rated,
+        { date: p.date, time: p.startTime, durationMinutes: duration },
+        pricingFor(catalog, target.facility.id)
+      );
+      Object.assign(body, {
+        date: p.date,
+        startTime: p.startTime,
+        estimatedPrice: quote.base,
+        appliedRules: quote.rules,
+        holiday: quote.holiday
+      });
+    }
+    res.json(body);
+  } catch (err) {
+    console.error("POST /api/booking/estimate error:", err);
+    specError(res, 500, "Something went wrong.");
+  }
+});
+
+// ---------- customer accounts & sessions ----------
+// Passwords are hashed locally with scrypt; sessions are random tokens
+// (stored hashed in sessions.json) sent as a cookie or Bearer header.
+
+const scrypt = promisify(crypto.scrypt);
+const SESSION_COOKIE = "courtify_session";
+const SESSION_TTL_DAYS = 30;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hex) return false;
+  const expected = Buffer.from(hex, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const hashToken = token => crypto.createHash("sha256").update(token).digest("hex");
+
+function publicCustomer(c) {
+  return { id: c.id, name: c.name, email: c.email, phone: c.phone || null, createdAt: c.createdAt };
+}
+
+function sessionToken(req) {
+  const auth = req.get("authorization") || "";
+  if (auth.startsWith("Bearer ")) return auth.slice(7).trim();
+  const cookies = req.get("cookie") || "";
+  for (const part of cookies.split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === SESSION_COOKIE) return decodeURIComponent(v.join("="));
+  }
+  return null;
+}
+
+// owner is { customerId } or { staffId }
+async function createSession(res, owner) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = Date.now();
+  await db.transaction(async repos => {
+    // drop this owner's expired sessions while we're here
+    const mine = await repos.sessions.find(owner);
+    for (const s of mine) {
+      if (new Date(s.expiresAt).getTime() <= now) await repos.sessions.remove(s.tokenHash);
+    }
+    await repos.sessions.insert({
+      tokenHash: hashToken(token),
+      customerId: owner.customerId || null,
+      staffId: owner.staffId || null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_TTL_DAYS * 86400000).toISOString()
+    });
+  });
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    maxAge: SESSION_TTL_DAYS * 86400000
+  });
+  return token;
+}
+
+// Attaches req.customer or req.staff when the request carries a live
+// session, or req.staff for a valid X-API-Key
+async function loadSession(req, res, next) {
+  req.customer = null;
+  req.staff = null;
+  try {
+    const apiKey = req.get("x-api-key");
+    if (apiKey) {
+      req.staff = await staffForApiKey(apiKey);
+      return next();
+    }
+    const token = sessionToken(req);
+    if (!token) return next();
+    const session = await db.sessions.get(hashToken(token));
+    if (session && new Date(session.expiresAt).getTime() > Date.now()) {
+      if (session.staffId) {
+        const staff = await db.staff.get(session.staffId);
+        if (staff && staff.active) req.staff = staff;
+      } else {
+        const customer = await db.customers.get(session.customerId);
+        if (customer) req.customer = customer;
+      }
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+function requireCustomer(req, res, next) {
+  if (!req.customer) {
+    return res.status(401).json({ success: false, error: "Please log in first" });
+  }
+  next();
+}
+
+// requireStaff() lets any staff member through, requireStaff("admin")
+// only admins
+function requireStaff(...roles) {
+  return (req, res, next) => {
+    if (!req.staff) {
+      return res.status(401).json({ success: false, error: "Staff login or API key required" });
+    }
+    if (roles.length && !roles.includes(req.staff.role)) {
+      return res.status(403).json({ success: false, error: "Not allowed for your role" });
+    }
+    next();
+  };
+}
+
+// For async routes that don't catch their own errors — db.transaction can
+// throw (lock timeout, unreadable data file, SQLite busy) and Express 4
+// would leave the rejection unhandled
+function guarded(handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (err) {
+      console.error(`${req.method} ${req.route.path} error:`, err);
+      if (!res.headersSent) res.status(500).json({ success: false, error: "Server error" });
+    }
+  };
+}
+
+// Transaction callbacks return { status, body }; this builds the error case
+function fail(status, error, extra = {}) {
+  return { status, body: { success: false, error, ...extra } };
+}
+
+// Looks up a booking the caller owns: { booking } or a 404/403 failure
+async function ownedBooking(repos, req) {
+  const booking = await repos.bookings.get(req.params.id);
+  if (!booking) return fail(404, "Booking not found");
+  if (booking.customerId !== req.customer.id) return fail(403, "Not your booking");
+  return { booking };
+}
+
+// ---------- staff accounts ----------
+// Staff act on any booking; admins also manage coupons, analytics and
+// other staff. They sign in with email/password (a session, like
+// customers) or send X-API-Key. ADMIN_API_KEY is a built-in admin key
+// for bootstrapping the first accounts.
+//
+// A staff member with a facilityId only sees and manages that venue;
+// without one they are a platform operator and see every venue.
+
+const STAFF_ROLES = ["admin", "staff"];
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
+const ROOT_ADMIN = { id: "root", name: "Administrator", email: null, role: "admin", active: true };
+
+const newApiKey = () => `ck_${crypto.randomBytes(24).toString("hex")}`;
+
+async function staffForApiKey(key) {
+  const hash = hashToken(key);
+  if (ADMIN_API_KEY && crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(hashToken(ADMIN_API_KEY), "hex"))) {
+    return ROOT_ADMIN;
+  }
+  const [staff] = await db.staff.find({ apiKeyHash: hash });
+  return staff && staff.active ? staff : null;
+}
+
+function publicStaff(s) {
+  return {
+    id: s.id,
+    name: s.name,
+    email: s.email,
+    role: s.role,
+    facilityId: s.facilityId || null,
+    active: s.active,
+    hasApiKey: !!s.apiKeyHash,
+    createdAt: s.createdAt || null
+  };
+}
+
+function canManageFacility(staff, facilityId) {
+  return !staff.facilityId || staff.facilityId === facilityId;
+}
+
+// The facility a staff request is limited to: their own, or for
+// operators the ?facilityId they asked for (undefined = all of them)
+function scopedFacility(req, requested) {
+  return req.staff.facilityId || requested || undefined;
+}
+
+// Operators only — onboarding venues and moving staff between them
+function requireOperator(req, res, next) {
+  if (req.staff.facilityId) {
+    return res.status(403).json({ success: false, error: "Only platform operators can do this" });
+  }
+  next();
+}
+
+// ---------- AUTH ----------
+
+// body: { name, email, password, phone? }
+app.post("/api/auth/signup", async (req, res) => {
+  const { name, email, password, phone } = req.body || {};
+  if (!name || !email || !password) {
+    return res
+      .status(400)
+      .json({ success: false, error: "name, email and password required" });
+  }
+  const normEmail = String(email).trim().toLowerCase();
+  if (!EMAIL_RE.test(normEmail)) {
+    return res.status(400).json({ success: false, error: "Invalid email" });
+  }
+  if (String(password).length < 8) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Password must be at least 8 characters" });
+  }
+
+  try {
+    const passwordHash = await hashPassword(String(password));
+    const customer = await db.transaction(async repos => {
+      if ((await repos.customers.find({ email: normEmail })).length) return null;
+      const created = {
+        id: uuidv4(),
+        name: String(name).trim(),
+        email: normEmail,
+        phone: phone ? String(phone).trim() : null,
+        passwordHash,
+        createdAt: new Date().toISOString()
+      };
+      await repos.customers.insert(created);
+      return created;
+    });
+    if (!customer) {
+      return res
+        .status(409)
+        .json({ success: false, error: "An account with this email already exists" });
+    }
+
+    const token = await createSession(res, { customerId: customer.id });
+    res.status(201).json({ success: true, customer: publicCustomer(customer), token });
+  } catch (err) {
+    console.error("POST /api/auth/signup error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+// body: { email, password }
+app.post("/api/auth/login", async (req, res) => {
+  const { email, password } = req.body || {};
+  if (!email || !password) {
+    return res
+      .status(400)
+      .json({ success: false, error: "email and password required" });
+  }
+
+  try {
+    const [customer] = await db.customers.find({ email: String(email).trim().toLowerCase() });
+    if (!customer || !(await verifyPassword(String(password), customer.passwordHash))) {
+      return res
+        .status(401)
+        .json({ success: false, error: "Invalid email or password" });
+    }
+    const token = await createSession(res, { customerId: customer.id });
+    res.json({ success: true, customer: publicCustomer(customer), token });
+  } catch (err) {
+    console.error("POST /api/auth/login error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const token = sessionToken(req);
+    if (token) {
+      await db.sessions.remove(hashToken(token));
+    }
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("POST /api/auth/logout error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+app.get("/api/auth/me", requireCustomer, (req, res) => {
+  res.json({ success: true, customer: publicCustomer(req.customer) });
+});
+
+// body: { email, password } — staff sign out through /api/auth/logout
+app.post("/api/staff/login", async (req, res) => {
+  const { email, password } = req.body || {};
+  if (!email || !password) {
+    return res
+      .status(400)
+      .json({ success: false, error: "email and password required" });
+  }
+
+  try {
+    const [staff] = await db.staff.find({ email: String(email).trim().toLowerCase() });
+    if (!staff || !staff.active || !(await verifyPassword(String(password), staff.passwordHash))) {
+      return res
+        .status(401)
+        .json({ success: false, error: "Invalid email or password" });
+    }
+    const token = await createSession(res, { staffId: staff.id });
+    res.json({ success: true, staff: publicStaff(staff), token });
+  } catch (err) {
+    console.error("POST /api/staff/login error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+});
+
+app.get("/api/staff/me", requireStaff(), (req, res) => {
+  res.json({ success: true, staff: publicStaff(req.staff) });
+});
+
+// ---------- BOOKINGS ----------
+
+// Booking messages only go to the account's own email or phone. Returns
+// the one `requested` names (the account's default if none), or null if
+// it belongs to someone else.
+function ownContact(customer, requested) {
+  const c = String(requested || "").trim();
+  if (!c) return customer.phone || customer.email;
+  if (c.toLowerCase() === customer.email) return customer.email;
+  const digits = v => String(v || "").replace(/\D/g, "");
+  if (customer.phone && digits(c) && digits(c) === digits(customer.phone)) return customer.phone;
+  return null;
+}
+
+// A new pending (or mock-confirmed) booking holding its slot; pricing is
+// worked out by the caller.
+function newBooking({
+  p, unit, customer, date, time, durationMinutes, pricing, paymentMethod, seriesId = null, actor = SYSTEM_ACTOR
+}) {
+  const now = new Date().toISOString();
+  const booking = {
+    id: uuidv4(),
+    facilityId: unit.facilityId || null,
+    serviceId: unit.serviceId,
+    serviceName: unit.serviceName,
+    unitId: unit.id,
+    unitName: unit.name,
+    date,
+    time,
+    durationMinutes,
+    endTime: fromMinutes(toMinutes(time) + durationMinutes),
+    timezone: unit.timezone,
+    startsAt: null,
+    endsAt: null,
+    customerId: customer.id,
+    customerName: p.customerName,
+    contact: ownContact(customer, p.contact) || ownContact(customer),
+    price: pricing.final,
+    pricing,
+    couponCode: pricing.couponCode,
+    seriesId,
+    paymentMethod,
+    paymentId: null,
+    paymentStatus: pricing.final > 0 ? "unpaid" : "not_required",
+    status: MOCK_MODE ? "confirmed_mock" : "pending",
+    holdExpiresAt: MOCK_MODE ? null : new Date(Date.now() + HOLD_TTL_MINUTES * 60000).toISOString(),
+    confirmationCode: null,
+    createdAt: now,
+    updatedAt: now,
+    history: []
+  };
+  stampSession(booking);
+  pushHistory(booking, actor, "created", seriesId ? "Booking created as part of a series" : "Booking created");
+  return booking;
+}
+
+// Create booking
+app.post("/api/book", requireCustomer, guarded(async (req, res) => {
+  const p = { ...req.body };
+  p.customerName = (p.customerName && String(p.customerName).trim()) || req.customer.name;
+  const customerId = req.customer.id;
+
+  if (!p.serviceId || !p.unitId || !p.date || !p.time) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Missing required fields" });
+  }
+  if (typeof p.serviceId !== "string" || typeof p.unitId !== "string") {
+    return res.status(400).json({ success: false, error: "serviceId and unitId must be strings" });
+  }
+  if (!ownContact(req.customer, p.contact)) {
+    return res.status(400).json({ success: false, error: "contact must be your account's email or phone" });
+  }
+
+  const time = normalizeTime(p.time);
+  if (!isValidDate(p.date) || !time) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Invalid date or time" });
+  }
+  if (p.redeemPoints != null && (!Number.isInteger(Number(p.redeemPoints)) || Number(p.redeemPoints) < 0)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "redeemPoints must be a whole number" });
+  }
+
+  const paymentMethod = String(p.paymentMethod || "card").toLowerCase();
+  if (!payments.forMethod(paymentMethod)) {
+    return res
+      .status(400)
+      .json({ success: false, error: `paymentMethod must be one of ${payments.methods().join(", ")}` });
+  }
+
+  const catalog = await readCatalogSafe();
+  const unit = findUnit(catalog, p.unitId);
+  if (!unit) {
+    return res.status(404).json({ success: false, error: "Unit not found" });
+  }
+  if (p.serviceId !== unit.serviceId) {
+    return res.status(400).json({ success: false, error: "Unit does not belong to that service" });
+  }
+
+  const durationMinutes = p.durationMinutes != null ? Number(p.durationMinutes) : unit.slotMinutes;
+  const windowErr = checkSessionWindow(unit, time, durationMinutes) || pastSlotError(unit, p.date, time);
+  if (windowErr) {
+    return res.status(400).json({ success: false, error: windowErr });
+  }
+
+  // Conflict check, coupon redemption, points redemption and the booking
+  // itself are committed as one transaction.
+  const result = await db.transaction(async repos => {
+    const sameDay = await repos.bookings.find({ unitId: unit.id, date: p.date });
+
+    const conflict = hasConflict(sameDay, unit, p.date, time, durationMinutes);
+    if (conflict) {
+      return fail(409, "Time slot already booked", { conflict: conflictWindow(conflict, p.date) });
+    }
+
+    // Price is always computed here from the catalog; any client price is ignored.
+    const pricing = sessionPricing(catalog, unit, p.date, time, durationMinutes);
+    const base = pricing.base;
+    let coupon = null;
+    if (p.couponCode) {
+      coupon = await repos.coupons.get(couponKey(p.couponCode));
+      const invalid = couponError(coupon, {
+        amount: base,
+        date: p.date,
+        time,
+        sport: unit.sport,
+        serviceId: unit.serviceId,
+        facilityId: unit.facilityId,
+        customerId,
+        bookings: await repos.bookings.find({ customerId })
+      });
+      if (invalid) return fail(invalid.status, invalid.error);
+    }
+    const discount = coupon ? couponDiscount(coupon, base) : 0;
+
+    // Loyalty points redeemed as a further discount, capped at what's left to pay
+    let ledger = null;
+    let pointsRedeemed = 0;
+    if (p.redeemPoints) {
+      const wanted = Number(p.redeemPoints);
+      ledger = await repos.loyalty.find({ customerId });
+      const account = loyaltyAccount(ledger, customerId);
+      if (wanted > account.balance) {
+        return fail(400, `Only ${account.balance} loyalty points available`);
+      }
+      pointsRedeemed = Math.min(wanted, pointsCovering(base - discount));
+    }
+    const loyaltyDiscount = pointsValue(pointsRedeemed);
+
+    Object.assign(pricing, {
+      discount,
+      loyaltyDiscount,
+      final: roundMoney(base - discount - loyaltyDiscount),
+      couponCode: coupon ? coupon.code : null,
+      pointsRedeemed
+    });
+
+    const booking = newBooking({
+      p, unit, customer: req.customer, date: p.date, time, durationMinutes, pricing, paymentMethod, actor: actorOf(req)
+    });
+
+    if (coupon) {
+      coupon.used = (coupon.used || 0) + 1;
+      await repos.coupons.update(coupon);
+    }
+    if (pointsRedeemed) {
+      await repos.loyalty.insert(
+        loyaltyEntry(customerId, "redeem", -pointsRedeemed, booking, "Redeemed on booking")
+      );
+      booking.loyalty = { pointsRedeemed };
+    }
+    if (booking.status === "confirmed_mock") {
+      const earned = earnLoyalty(await repos.loyalty.find({ customerId }), booking);
+      if (earned) await repos.loyalty.insert(earned);
+    }
+    await saveBooking(repos, booking);
+
+    return { status: 201, body: { success: true, booking } };
+  });
+
+  res.status(result.status).json(result.body);
+}));
+
+// Gives back the coupon use a released booking consumed
+async function releaseCoupon(repos, booking) {
+  if (!booking.couponCode) return;
+  const coupon = await repos.coupons.get(booking.couponCode);
+  if (coupon && coupon.used > 0) {
+    coupon.used -= 1;
+    await repos.coupons.update(coupon);
+  }
+}
+
+// Lets go of an unconfirmed hold: the slot, its coupon use and any
+// redeemed points are released. Caller holds the transaction.
+async function expireBooking(repos, booking) {
+  booking.status = "expired";
+  booking.updatedAt = new Date().toISOString();
+  pushHistory(booking, SYSTEM_ACTOR, "expired", "Hold expired before confirmation");
+
+  await releaseCoupon(repos, booking);
+  const ledger = await repos.loyalty.find({ customerId: booking.customerId });
+  for (const entry of reverseLoyalty(ledger, booking)) await repos.loyalty.insert(entry);
+  await saveBooking(repos, booking);
+  await promoteWaitlist(repos, booking.unitId, booking.date);
+}
+
+// Background sweeper: expires every pending booking whose hold has lapsed
+async function expireHolds() {
+  const now = Date.now();
+  return db.transaction(async repos => {
+    const lapsed = (await repos.bookings.find({ status: "pending" })).filter(b => holdLapsed(b, now));
+    for (const booking of lapsed) await expireBooking(repos, booking);
+    return lapsed.length;
+  });
+}
+
+function dispatchNotifications() {
+  notifier.dispatch(db).catch(err => console.error("Notification dispatch error:", err));
+}
+
+function sweepHolds() {
+  expireHolds()
+    .then(n => {
+      if (n) console.log(`Expired ${n} unconfirmed hold(s)`);
+    })
+    .catch(err => console.error("Hold sweeper error:", err));
+  expireWaitlist()
+    .then(n => {
+      if (n) console.log(`Expired ${n} waitlist entries for past slots`);
+    })
+    .catch(err => console.error("Waitlist sweeper error:", err));
+}
+
+async function confirmBooking(repos, booking, note, actor = SYSTEM_ACTOR) {
+  booking.status = MOCK_MODE ? "confirmed_mock" : "confirmed";
+  booking.holdExpiresAt = null;
+  booking.updatedAt = new Date().toISOString();
+  pushHistory(booking, actor, "confirmed", note);
+
+  const earned = earnLoyalty(await repos.loyalty.find({ customerId: booking.customerId }), booking);
+  if (earned) await repos.loyalty.insert(earned);
+  await saveBooking(repos, booking);
+}
+
+// Confirm booking — only free bookings or ones whose payment has succeeded
+// (paid bookings are normally confirmed by the payment webhook)
+app.post("/api/book/:id/confirm", requireCustomer, guarded(async (req, res) => {
+  const result = await db.transaction(async repos => {
+    const found = await ownedBooking(repos, req);
+    if (found.status) return found;
+
+    const booking = found.booking;
+    if (holdLapsed(booking)) {
+      await expireBooking(repos, booking);
+      return fail(409, "Hold expired, please book again", { booking });
+    }
+    if (isReleased(booking)) {
+      return fail(400, `Cannot confirm a ${booking.status} booking`);
+    }
+    if (booking.paymentStatus !== "paid" && Number(booking.price) > 0) {
+      return fail(402, "Payment required", { booking });
+    }
+
+    await confirmBooking(repos, booking, "Booking confirmed", actorOf(req));
+    return { status: 200, body: { success: true, booking } };
+  });
+
+  res.status(result.status).json(result.body);
+}));
+
+// Validates a reschedule request body: { date, time, durationMinutes }
+// or { error }
+function rescheduleTarget(body) {
+  const { date, durationMinutes } = body || {};
+  if (!date || !body.time) return { error: "date and time required" };
+  const time = normalizeTime(body.time);
+  if (!isValidDate(date) || !time) return { error: "Invalid date or time" };
+  return { date, time, durationMinutes: durationMinutes != null ? Number(durationMinutes) : null };
+}
+
+// Moves a booking to target, keeping its unit. Staff may pass
+// { override: reason } to book over a conflict. Caller holds the
+// transaction; returns fail(...) or { booking }.
+async function rescheduleBooking(repos, catalog, booking, target, actor, { override = null } = {}) {
+  if (holdLapsed(booking)) {
+    await expireBooking(repos, booking);
+    return fail(409, "Hold expired, please book again", { booking });
+  }
+  if (isReleased(booking)) {
+    return fail(400, `Cannot reschedule a ${booking.status} booking`);
+  }
+  const unit = findUnit(catalog, booking.unitId);
+  if (!unit) return fail(404, "Unit not found");
+
+  const { date, time } = target;
+  const durationMinutes = target.durationMinutes != null
+    ? target.durationMinutes
+    : Number(booking.durationMinutes) || unit.slotMinutes;
+  const windowErr = checkSessionWindow(unit, time, durationMinutes) || pastSlotError(unit, date, time);
+  if (windowErr) return fail(400, windowErr);
+
+  const sameDay = await repos.bookings.find({ unitId: unit.id, date });
+  const conflict = hasConflict(sameDay, unit, date, time, durationMinutes, booking.id);
+  if (conflict && !override) {
+    return fail(409, "Reschedule conflict", { conflict: conflictWindow(conflict, date) });
+  }
+
+  const old = `${booking.date} ${booking.time}`;
+  const oldDate = booking.date;
+  booking.date = date;
+  booking.time = time;
+  booking.durationMinutes = durationMinutes;
+  booking.endTime = fromMinutes(toMinutes(time) + durationMinutes);
+  stampSession(booking);
+  booking.updatedAt = new Date().toISOString();
+  let note = `From ${old} to ${date} ${time}`;
+  if (conflict) {
+    note += ` (overrode conflict with booking ${conflict.booking.id}: ${override})`;
+    booking.overrides = [
+      ...(booking.overrides || []),
+      { ts: booking.updatedAt, actor, conflictWith: conflict.booking.id, reason: override }
+    ];
+  }
+  pushHistory(booking, actor, "rescheduled", note);
+  await saveBooking(repos, booking, { movedFrom: oldDate });
+  await promoteWaitlist(repos, booking.unitId, oldDate);
+
+  return { booking };
+}
+
+// Reschedule booking
+app.post("/api/book/:id/reschedule", requireCustomer, guarded(async (req, res) => {
+  const target = rescheduleTarget(req.body);
+  if (target.error) {
+    return res.status(400).json({ success: false, error: target.error });
+  }
+
+  const catalog = await readCatalogSafe();
+  const result = await db.transaction(async repos => {
+    const found = await ownedBooking(repos, req);
+    if (found.status) return found;
+
+    const moved = await rescheduleBooking(repos, catalog, found.booking, target, actorOf(req));
+    if (moved.status) return moved;
+    return { status: 200, body: { success: true, booking: moved.booking } };
+  });
+
+  res.status(result.status).json(result.body);
+}));
+
+// ---------- cancellation ----------
+// Refund rules live in cancellation.js
+
+// Sends a refund back through the booking's payment provider. Mock
+// bookings without a payment only get the record. Caller holds the
+// transaction.
+async function issueRefund(repos, booking, quote) {
+  const refund = {
+    id: uuidv4(),
+    amount: quote.refundAmount,
+    currency: quote.currency,
+    refundPercent: quote.refundPercent,
+    paymentId: booking.paymentId || null,
+    refundRef: null,
+    status: "recorded",
+    createdAt: new Date().toISOString()
+  };
+  const payment = booking.paymentId ? await repos.payments.get(booking.paymentId) : null;
+  if (payment && payment.status === "succeeded") {
+    try {
+      const result = await payments.provider(payment.provider).refund({
+        providerRef: payment.providerRef,
+        amount: refund.amount,
+        currency: refund.currency
+      });
+      refund.refundRef = result.refundRef;
+      refund.status = result.status;
+    } catch (err) {
+      refund.status = "failed";
+      refund.failureReason = err.message;
+    }
+    if (refund.status === "succeeded") {
+      payment.refundedAmount = roundMoney((payment.refundedAmount || 0) + refund.amount);
+      booking.paymentStatus = payment.refundedAmount >= payment.amount ? "refunded" : "partially_refunded";
+    }
+    paymentEvent(payment, `refund_${refund.status}`, `${refund.currency} ${refund.amount}`);
+    await repos.payments.update(payment);
+  }
+  return refund;
+}
+
+// Preview what cancelling would refund, without cancelling
+app.get("/api/book/:id/cancel/preview", requireCustomer, guarded(async (req, res) => {
+  const found = await ownedBooking(db, req);
+  if (found.status) return res.status(found.status).json(found.body);
+
+  const catalog = await readCatalogSafe();
+  const quote = cancellationQuote(found.booking, findUnit(catalog, found.booking.unitId));
+  if (quote.error) {
+    return res.json({ success: true, cancellable: false, reason: quote.error });
+  }
+  res.json({ success: true, cancellable: true, quote });
+}));
+
+// Cancels one booking under its unit's policy: refunds what the policy
+// allows, gives back the coupon use and loyalty points. A staff force
+// cancel passes { reason, refundPercent? }. Returns fail(...) when it
+// can't be cancelled, else { booking, refund }.
+async function cancelBooking(repos, booking, unit, actor, force = null) {
+  if (holdLapsed(booking)) await expireBooking(repos, booking);
+  const quote = cancellationQuote(booking, unit, force ? { force: true, refundPercent: force.refundPercent } : {});
+  if (quote.error) return fail(400, quote.error);
+
+  const now = new Date().toISOString();
+  booking.status = "cancelled";
+  booking.holdExpiresAt = null;
+  booking.updatedAt = now;
+  booking.cancellation = {
+    cancelledAt: now,
+    hoursBefore: quote.hoursBefore,
+    rule: quote.rule,
+    paid: quote.paid,
+    refundPercent: quote.refundPercent,
+    refundAmount: quote.refundAmount,
+    fee: quote.fee,
+    currency: quote.currency,
+    by: actor,
+    reason: force ? force.reason : null
+  };
+  booking.refunds = booking.refunds || [];
+  let refund = null;
+  if (quote.refundAmount > 0) {
+    refund = await issueRefund(repos, booking, quote);
+    booking.refunds.push(refund);
+  }
+  pushHistory(
+    booking,
+    actor,
+    "cancelled",
+    (refund
+      ? `Booking cancelled, refund ${quote.currency} ${quote.refundAmount} (${quote.refundPercent}%)`
+      : "Booking cancelled, no refund due") + (force ? ` — ${force.reason}` : "")
+  );
+
+  await releaseCoupon(repos, booking);
+  const ledger = await repos.loyalty.find({ customerId: booking.customerId });
+  for (const entry of reverseLoyalty(ledger, booking)) await repos.loyalty.insert(entry);
+  await saveBooking(repos, booking);
+  await promoteWaitlist(repos, booking.unitId, booking.date);
+
+  return { booking, refund };
+}
+
+// Cancel booking under the unit's cancellation policy
+app.post("/api/book/:id/cancel", requireCustomer, guarded(async (req, res) => {
+  const catalog = await readCatalogSafe();
+  const result = await db.transaction(async repos => {
+    const found = await ownedBooking(repos, req);
+    if (found.status) return found;
+
+    const cancelled = await cancelBooking(repos, found.booking, findUnit(catalog, found.booking.unitId), actorOf(req));
+    if (cancelled.status) return cancelled;
+    return { status: 200, body: { success: true, ...cancelled } };
+  });
+
+  res.status(result.status).json(result.body);
+}));
+
+// ---------- SERIES (recurring bookings) ----------
+// A series books the same unit and time every week or two. Each
+// occurrence is an ordinary booking carrying seriesId, so the
+// /api/book/:id routes reschedule, pay for or cancel it on its own.
+
+const SERIES_STEP_DAYS = { weekly: 7, biweekly: 14 };
+const MAX_SERIES_OCCURRENCES = 26;
+
+// Occurrence dates from `start`, up to `until` (inclusive) or `count` dates.
+// Stops one past the cap so callers can tell the series is too long.
+function seriesDates(start, frequency, { until, count }) {
+  const step = SERIES_STEP_DAYS[frequency];
+  const limit = Math.min(count || Infinity, MAX_SERIES_OCCURRENCES + 1);
+  const out = [];
+  for (let d = start; out.length < limit; d = addDays(d, step)) {
+    if (until && d > until) break;
+    out.push(d);
+  }
+  return out;
+}
+
+async function ownedSeries(repos, req) {
+  const series = await repos.series.get(req.params.id);
+  if (!series) return fail(404, "Series not found");
+  if (series.customerId !== req.customer.id) return fail(403, "Not your series");
+  return { series };
+}
+
+// Create a series — body: the /api/book fields (date = first occurrence)
+// plus recurrence: { frequency: "weekly" | "biweekly", until? | count? }.
+// All occurrences are booked, or none and the failing dates are reported.
+app.post("/api/book/series", requireCustomer, guarded(async (req, res) => {
+  const p = { ...req.body };
+  p.customerName = (p.customerName && String(p.customerName).trim()) || req.customer.name;
+  const r = p.recurrence || {};
+
+  if (!p.serviceId || !p.unitId || !p.date || !p.time || !r.frequency) {
+    return res
+      .status(400)
+      .json({ success: false, error: "serviceId, unitId, date, time and recurrence.frequency required" });
+  }
+  if (typeof p.serviceId !== "string" || typeof p.unitId !== "string") {
+    return res.status(400).json({ success: false, error: "serviceId and unitId must be strings" });
+  }
+  if (!ownContact(req.customer, p.contact)) {
+    return res.status(400).json({ success: false, error: "contact must be your account's email or phone" });
+  }
+  const time = normalizeTime(p.time);
+  if (!isValidDate(p.date) || !time) {
+    return res.status(400).json({ success: false, error: "Invalid date or time" });
+  }
+  if (!SERIES_STEP_DAYS[r.frequency]) {
+    return res
+      .status(400)
+      .json({ success: false, error: `recurrence.frequency must be one of ${Object.keys(SERIES_STEP_DAYS).join(", ")}` });
+  }
+  if ((r.until == null) === (r.count == null)) {
+    return res.status(400).json({ success: false, error: "Give either recurrence.until or recurrence.count" });
+  }
+  if (r.until != null && (!isValidDate(r.until) || r.until < p.date)) {
+    return res.status(400).json({ success: false, error: "recurrence.until must be a date on or after date" });
+  }
+  if (r.count != null && (!Number.isInteger(Number(r.count)) || Number(r.count) < 1)) {
+    return res.status(400).json({ success: false, error: "recurrence.count must be a positive whole number" });
+  }
+  if (p.couponCode || p.redeemPoints) {
+    return res
+      .status(400)
+      .json({ success: false, error: "Coupons and loyalty points can't be used on a series" });
+  }
+  const paymentMethod = String(p.paymentMethod || "card").toLowerCase();
+  if (!payments.forMethod(paymentMethod)) {
+    return res
+      .status(400)
+      .json({ success: false, error: `paymentMethod must be one of ${payments.methods().join(", ")}` });
+  }
+
+  const dates = seriesDates(p.date, r.frequency, { until: r.until, count: Number(r.count) || null });
+  if (dates.length > MAX_SERIES_OCCURRENCES) {
+    return res
+      .status(400)
+      .json({ success: false, error: `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences` });
+  }
+
+  const catalog = await readCatalogSafe();
+  const unit = findUnit(catalog, p.unitId);
+  if (!unit) {
+    return res.status(404).json({ success: false, error: "Unit not found" });
+  }
+  if (p.serviceId !== unit.serviceId) {
+    return res.status(400).json({ success: false, error: "Unit does not belong to that service" });
+  }
+  const durationMinutes = p.durationMinutes != null ? Number(p.durationMinutes) : unit.slotMinutes;
+  const windowErr = checkSessionWindow(unit, time, durationMinutes);
+  if (windowErr) {
+    return res.status(400).json({ success: false, error: windowErr });
+  }
+  const past = dates.filter(date => pastSlotError(unit, date, time));
+  if (past.length) {
+    return res.status(400).json({ success: false, error: "Some dates have already passed", past });
+  }
+
+  const result = await db.transaction(async repos => {
+    const failures = [];
+    for (const date of dates) {
+      const sameDay = await repos.bookings.find({ unitId: unit.id, date });
+      const conflict = hasConflict(sameDay, unit, date, time, durationMinutes);
+      if (conflict) failures.push({ date, conflict: conflictWindow(conflict, date) });
+    }
+    if (failures.length) {
+      return fail(409, "Some dates are not available", { dates, failures });
+    }
+
+    const now = new Date().toISOString();
+    const series = {
+      id: uuidv4(),
+      customerId: req.customer.id,
+      serviceId: unit.serviceId,
+      unitId: unit.id,
+      time,
+      durationMinutes,
+      frequency: r.frequency,
+      startDate: p.date,
+      until: r.until || null,
+      count: r.count != null ? Number(r.count) : null,
+      bookingIds: [],
+      status: "active",
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const bookings = [];
+    for (const date of dates) {
+      const booking = newBooking({
+        p,
+        unit,
+        customer: req.customer,
+        date,
+        time,
+        durationMinutes,
+        // each date is priced on its own: weekends and holidays differ
+        pricing: sessionPricing(catalog, unit, date, time, durationMinutes),
+        paymentMethod,
+        seriesId: series.id,
+        actor: actorOf(req)
+      });
+      if (booking.status === "confirmed_mock") {
+        const earned = earnLoyalty(await repos.loyalty.find({ customerId: req.customer.id }), booking);
+        if (earned) await repos.loyalty.insert(earned);
+      }
+      await saveBooking(repos, booking);
+      series.bookingIds.push(booking.id);
+      bookings.push(booking);
+    }
+    await repos.series.insert(series);
+
+    return { status: 201, body: { success: true, series, bookings } };
+  });
+
+  res.status(result.status).json(result.body);
+}));
+
+// A series with its occurrences
+app.get("/api/book/series/:id", requireCustomer, guarded(async (req, res) => {
+  const found = await ownedSeries(db, req);
+  if (found.status) return res.status(found.status).json(found.body);
+  const bookings = await db.bookings.find({ seriesId: found.series.id });
+  bookings.sort((a, b) => a.date.localeCompare(b.date));
+  res.json({ success: true, series: found.series, bookings });
+}));
+
+// Cancel every remaining occurrence; ones already played or released are
+// reported as skipped.
+app.post("/api/book/series/:id/cancel", requireCustomer, guarded(async (req, res) => {
+  const catalog = await readCatalogSafe();
+  const result = await db.transaction(async repos => {
+    const found = await ownedSeries(repos, req);
+    if (found.status) return found;
+
+    const series = found.series;
+    const cancelled = [];
+    const skipped = [];
+    for (const booking of await repos.bookings.find({ seriesId: series.id })) {
+      const out = await cancelBooking(repos, booking, findUnit(catalog, booking.unitId), actorOf(req));
+      if (out.status) skipped.push({ id: booking.id, date: booking.date, reason: out.body.error });
+      else cancelled.push(out);
+    }
+    series.status = "cancelled";
+    series.updatedAt = new Date().toISOString();
+    await repos.series.update(series);
+
+    const refundTotal = roundMoney(cancelled.reduce((sum, c) => sum + (c.refund ? c.refund.amount : 0), 0));
+    return {
+      status: 200,
+      body: {
+        success: true,
+        series,
+        cancelled: cancelled.map(c => c.booking),
+        skipped,
+        refundTotal
+      }
+    };
+  });
+
+  res.status(result.status).json(result.body);
+}));
+
+// ---------- WAITLIST ----------
+// Customers queue for a time on one unit, or on any unit of a sport.
+// Whenever a slot is freed (cancel, reschedule, expired hold) the oldest
+// waiter that now fits is given a pending booking holding the slot for
+// WAITLIST_HOLD_MINUTES; they confirm it like any other booking.
+
+function waitlistTarget(entry) {
+  return entry.unitId ? `unit:${entry.unitId}` : `sport:${entry.sport}`;
+}
+
+// The units an entry could be promoted into: its own, or for sport-wide
+// entries every unit of that sport, at whichever facility
+function waitlistUnits(catalog, entry) {
+  if (entry.unitId) {
+    const unit = findUnit(catalog, entry.unitId);
+    return unit ? [unit] : [];
+  }
+  return catalog.units
+    .map(u => resolveUnit(catalog, u))
+    .filter(u => u.sport === entry.sport);
+}
+
+// Error message once the entry's slot has started on the clock of every
+// facility it covers; until then some unit could still take it
+function waitlistPastError(catalog, entry, now = new Date()) {
+  const units = waitlistUnits(catalog, entry);
+  if (!units.length) return pastSlotError({}, entry.date, entry.time, now);
+  return units.every(u => pastSlotError(u, entry.date, entry.time, now))
+    ? "That time has already passed"
+    : null;
+}
+
+// 1-based place among the entries still waiting for the same target and time
+function waitlistPosition(entry, waiting) {
+  return 1 + waiting.filter(w =>
+    w.id !== entry.id &&
+    w.time === entry.time &&
+    waitlistTarget(w) === waitlistTarget(entry) &&
+    w.createdAt < entry.createdAt
+  ).length;
+}
+
+// Hands the freed slot(s) on unitId/date to waiting customers, oldest
+// first. Caller holds the transaction.
+async function promoteWaitlist(repos, unitId, date) {
+  const waiting = await repos.waitlist.find({ date, status: "waiting" });
+  if (!waiting.length) return [];
+  const catalog = withCatalogDefaults(await repos.catalog.get());
+  const unit = findUnit(catalog, unitId);
+  if (!unit) return [];
+
+  const promoted = [];
+  waiting.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const entry of waiting) {
+    if (entry.unitId ? entry.unitId !== unit.id : entry.sport !== unit.sport) continue;
+    const sameDay = await repos.bookings.find({ unitId: unit.id, date });
+    const durationMinutes = entry.durationMinutes || unit.slotMinutes;
+    if (checkSessionWindow(unit, entry.time, durationMinutes) || pastSlotError(unit, date, entry.time)) continue;
+    if (hasConflict(sameDay, unit, date, entry.time, durationMinutes)) continue;
+
+    const customer = await repos.customers.get(entry.customerId);
+    if (!customer) continue;
+    const booking = newBooking({
+      p: { unitId: unit.id, customerName: customer.name },
+      unit,
+      customer,
+      date,
+      time: entry.time,
+      durationMinutes,
+      pricing: sessionPricing(catalog, unit, date, entry.time, durationMinutes),
+      // entries from before the method was kept were all card
+      paymentMethod: entry.paymentMethod || "card"
+    });
+    if (booking.status === "pending") {
+      booking.holdExpiresAt = new Date(Date.now() + WAITLIST_HOLD_MINUTES * 60000).toISOString();
+    }
+    booking.waitlistId = entry.id;
+    pushHistory(booking, SYSTEM_ACTOR, "promoted", "Slot offered from the waitlist");
+    await saveBooking(repos, booking);
+
+    entry.status = "promoted";
+    entry.bookingId = booking.id;
+    entry.unitId = entry.unitId || unit.id;
+    entry.promotedAt = new Date().toISOString();
+    await repos.waitlist.update(entry);
+    promoted.push(entry);
+  }
+  return promoted;
+}
+
+// Entries whose slot has already started can never be promoted; mark them
+// expired so they stop counting toward anyone's position.
+async function expireWaitlist() {
+  const now = new Date();
+  return db.transaction(async repos => {
+    const waiting = await repos.waitlist.find({ status: "waiting" });
+    if (!waiting.length) return 0;
+    const catalog = withCatalogDefaults(await repos.catalog.get());
+    let expired = 0;
+    for (const entry of waiting) {
+      if (!waitlistPastError(catalog, entry, now)) continue;
+      entry.status = "expired";
+      await repos.waitlist.update(entry);
+      expired++;
+    }
+    return expired;
+  });
+}
+
+// Join the waitlist — body: { unitId | sport, date, time, durationMinutes?,
+// paymentMethod? } — the booking made on promotion is paid with paymentMethod
+app.post("/api/waitlist", requireCustomer, guarded(async (req, res) => {
+  const { unitId, sport, date } = req.body || {};
+  const time = normalizeTime(req.body && req.body.time);
+  if ((!unitId && !sport) || !date || !time || !isValidDate(date)) {
+    return res
+      .status(400)
+      .json({ success: false, error: "unitId or sport, and a valid date and time required" });
+  }
+  if (unitId && typeof unitId !== "string") {
+    return res.status(400).json({ success: false, error: "unitId must be a string" });
+  }
+  const durationMinutes = req.body.durationMinutes != null ? Number(req.body.durationMinutes) : null;
+  if (durationMinutes != null && (!Number.isInteger(durationMinutes) || durationMinutes < 30)) {
+    return res.status(400).json({ success: false, error: "durationMinutes must be integer ≥ 30" });
+  }
+  const paymentMethod = String(req.body.paymentMethod || "card").toLowerCase();
+  if (!payments.forMethod(paymentMethod)) {
+    return res
+      .status(400)
+      .json({ success: false, error: `paymentMethod must be one of ${payments.methods().join(", ")}` });
+  }
+
+  const catalog = await readCatalogSafe();
+  const unit = unitId ? findUnit(catalog, unitId) : null;
+  if (unitId && !unit) {
+    return res.status(404).json({ success: false, error: "Unit not found" });
+  }
+  const sportKey = sport ? String(sport).toLowerCase() : null;
+  if (!unitId && !catalog.services.some(s => s.sport === sportKey)) {
+    return res.status(404).json({ success: false, error: "No courts for that sport" });
+  }
+  const pastErr = waitlistPastError(catalog, { unitId: unit && unit.id, sport: sportKey, date, time });
+  if (pastErr) {
+    return res.status(400).json({ success: false, error: pastErr });
+  }
+
+  const result = await db.transaction(async repos => {
+    const waiting = await repos.waitlist.find({ date, status: "waiting" });
+    const entry = {
+      id: uuidv4(),
+      customerId: req.customer.id,
+      unitId: unit ? unit.id : null,
+      sport: unit ? unit.sport : sportKey,
+      date,
+      time,
+      durationMinutes,
+      paymentMethod,
+      status: "waiting",
+      bookingId: null,
+      createdAt: new Date().toISOString(),
+      promotedAt: null
+    };
+    const duplicate = waiting.find(w =>
+      w.customerId === entry.customerId && w.time === time && waitlistTarget(w) === waitlistTarget(entry)
+    );
+    if (duplicate) return fail(409, "You are already on this waitlist", { entry: duplicate });
+
+    await repos.waitlist.insert(entry);
+    waiting.push(entry);
+    return { status: 201, body: { success: true, entry, position: waitlistPosition(entry, waiting) } };
+  });
+
+  res.status(result.status).json(result.body);
+}));
+
+// The caller's waitlist entries, with current positions for waiting ones
+app.get("/api/waitlist", requireCustomer, guarded(async (req, res) => {
+  const mine = await db.waitlist.find({ customerId: req.customer.id });
+  const entries = [];
+  for (const entry of mine) {
+    const position = entry.status === "waiting"
+      ? waitlistPosition(entry, await db.waitlist.find({ date: entry.date, status: "waiting" }))
+      : null;
+    entries.push({ ...entry, position });
+  }
+  res.json({ success: true, entries });
+}));
+
+// Leave the waitlist
+app.post("/api/waitlist/:id/cancel", requireCustomer, guarded(async (req, res) => {
+  const result = await db.transaction(async repos => {
+    const entry = await repos.waitlist.get(req.params.id);
+    if (!entry) return fail(404, "Waitlist entry not found");
+    if (entry.customerId !== req.customer.id) return fail(403, "Not your waitlist entry");
+    if (entry.status !== "waiting") return fail(400, `Entry is already ${entry.status}`);
+    entry.status = "cancelled";
+    await repos.waitlist.update(entry);
+    return { status: 200, body: { success: true, entry } };
+  });
+
+  res.status(result.status).json(result.body);
+}));
+
+// ---------- PAYMENTS ----------
+
+function paymentEvent(payment, type, note = "") {
+  payment.events = payment.events || [];
+  payment.events.push({ ts: new Date().toISOString(), type, note });
+  payment.updatedAt = new Date().toISOString();
+}
+
+// Start paying for a pending booking — body: { paymentMethod?, simulate? }
+// simulate ("success" | "decline" | "delayed") drives the mock gateway and
+// is ignored unless PAYMENTS_DEV is on.
+app.post("/api/book/:id/pay", requireCustomer, guarded(async (req, res) => {
+  const { simulate } = req.body || {};
+
+  const created = await db.transaction(async repos => {
+    const found = await ownedBooking(repos, req);
+    if (found.status) return found;
+
+    const booking = found.booking;
+    if (holdLapsed(booking)) {
+      await expireBooking(repos, booking);
+      return fail(409, "Hold expired, please book again", { booking });
+    }
+    if (booking.status !== "pending") {
+      return fail(409, `Cannot pay for a ${booking.status} booking`);
+    }
+    if (!(Number(booking.price) > 0)) return fail(400, "Nothing to pay");
+
+    const inFlight = await repos.payments.find({ bookingId: booking.id, status: ["created", "processing"] });
+    if (inFlight.length) {
+      return fail(409, "A payment is already in progress", { payment: inFlight[0] });
+    }
+
+    const method = String((req.body && req.body.paymentMethod) || booking.paymentMethod || "card").toLowerCase();
+    const provider = payments.forMethod(method);
+    if (!provider) return fail(400, `paymentMethod must be one of ${payments.methods().join(", ")}`);
+
+    const now = new Date().toISOString();
+    const payment = {
+      id: uuidv4(),
+      bookingId: booking.id,
+      customerId: booking.customerId,
+      provider: provider.name,
+      method,
+      amount: booking.price,
+      currency: (booking.pricing && booking.pricing.currency) || "PHP",
+      status: "created",
+      providerRef: null,
+      failureReason: null,
+      refundDue: false,
+      createdAt: now,
+      updatedAt: now,
+      events: []
+    };
+    paymentEvent(payment, "created");
+    await repos.payments.insert(payment);
+
+    booking.paymentMethod = method;
+    booking.paymentId = payment.id;
+    booking.paymentStatus = "processing";
+    booking.updatedAt = now;
+    pushHistory(booking, actorOf(req), "payment_started", `${method} payment of ${payment.amount}`);
+    await saveBooking(repos, booking);
+
+    return { status: 201, payment, provider };
+  });
+  if (created.status !== 201) return res.status(created.status).json(created.body);
+
+  // the provider call happens outside the transaction so a slow gateway
+  // does not hold the storage lock
+  const { payment, provider } = created;
+  let intent;
+  try {
+    intent = await provider.createIntent({
+      paymentId: payment.id,
+      amount: payment.amount,
+      currency: payment.currency,
+      simulate: (PAYMENTS_DEV && simulate) || "success"
+    });
+  } catch (err) {
+    await db.transaction(async repos => {
+      const current = await repos.payments.get(payment.id);
+      current.status = "failed";
+      current.failureReason = err.message;
+      paymentEvent(current, "failed", err.message);
+      await repos.payments.update(current);
+      const booking = await repos.bookings.get(payment.bookingId);
+      booking.paymentStatus = "failed";
+      await saveBooking(repos, booking);
+    });
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  const updated = await db.transaction(async repos => {
+    const current = await repos.payments.get(payment.id);
+    current.providerRef = intent.providerRef;
+    // a fast callback may already have settled it
+    if (current.status === "created") current.status = intent.status;
+    paymentEvent(current, "intent_created", intent.providerRef);
+    await repos.payments.update(current);
+    return current;
+  });
+
+  res.status(201).json({ success: true, payment: updated, nextAction: intent.nextAction || null });
+}));
+
+// Payment status for the booking owner (the UI polls this after paying)
+app.get("/api/payments/:id", requireCustomer, guarded(async (req, res) => {
+  const payment = await db.payments.get(req.params.id);
+  if (!payment) return res.status(404).json({ success: false, error: "Payment not found" });
+  if (payment.customerId !== req.customer.id) {
+    return res.status(403).json({ success: false, error: "Not your payment" });
+  }
+  res.json({ success: true, payment });
+}));
 
-const BOOKINGS_FILE = path.join(__dirname, "bookings.json");
-const COUPONS_FILE  = path.join(__dirname, "coupons.json");
+// Applies a verified gateway event. Duplicate deliveries are acknowledged
+// without effect; a success arriving after the hold ended is kept but
+// flagged for refund instead of confirming a slot that was released.
+async function applyPaymentEvent(repos, provider, event) {
+  let [payment] = await repos.payments.find({ providerRef: event.providerRef });
+  if (!payment && event.paymentId) {
+    const byId = await repos.payments.get(event.paymentId);
+    if (byId && byId.provider === provider.name) payment = byId;
+  }
+  if (!payment) return fail(404, "Unknown payment");
+  if (payment.status === "succeeded" || payment.status === "failed") {
+    return { status: 200, body: { success: true, received: true, duplicate: true } };
+  }
 
-const MOCK_MODE = process.env.MOCK_MODE === "true";
+  const booking = await repos.bookings.get(payment.bookingId);
+  payment.providerRef = payment.providerRef || event.providerRef;
+
+  if (event.type === "payment.failed") {
+    payment.status = "failed";
+    payment.failureReason = event.reason || "Payment failed";
+    paymentEvent(payment, "failed", payment.failureReason);
+    if (booking) {
+      booking.paymentStatus = "failed";
+      booking.updatedAt = new Date().toISOString();
+      pushHistory(booking, SYSTEM_ACTOR, "payment_failed", payment.failureReason);
+      await saveBooking(repos, booking);
+    }
+  } else if (event.type === "payment.succeeded") {
+    payment.status = "succeeded";
+    paymentEvent(payment, "succeeded");
+    if (booking && holdLapsed(booking)) await expireBooking(repos, booking);
+    if (booking && booking.status === "pending") {
+      booking.paymentStatus = "paid";
+      await confirmBooking(repos, booking, `Paid by ${payment.method}`);
+    } else {
+      payment.refundDue = true;
+      paymentEvent(payment, "refund_due", "Booking no longer pending");
+      if (booking) {
+        booking.paymentStatus = "refund_due";
+        pushHistory(booking, SYSTEM_ACTOR, "payment_unapplied", "Payment arrived after the hold ended; refund due");
+        await saveBooking(repos, booking);
+      }
+    }
+  } else {
+    return { status: 200, body: { success: true, received: true, ignored: event.type } };
+  }
 
-// ---------- helpers for JSON files ----------
+  await repos.payments.update(payment);
+  return { status: 200, body: { success: true, received: true } };
+}
+
+// Gateway callbacks — verified with the provider's signature scheme
+app.post("/api/payments/webhook/:provider", guarded(async (req, res) => {
+  const provider = payments.provider(req.params.provider);
+  if (!provider) return res.status(404).json({ success: false, error: "Unknown provider" });
 
-async function ensureFile(filePath, defaultValue = "[]") {
+  let event;
   try {
-    await fsp.access(filePath, fs.constants.F_OK);
-  } catch {
-    await fsp.writeFile(filePath, defaultValue, "utf8");
+    event = provider.verifyWebhook(req.rawBody || "", req.headers);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
   }
-}
 
-async function readFileSafe(filePath) {
-  await ensureFile(filePath);
-  const raw = await fsp.readFile(filePath, "utf8");
-  return raw.trim() ? JSON.parse(raw) : [];
+  try {
+    const result = await db.transaction(repos => applyPaymentEvent(repos, provider, event));
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("POST /api/payments/webhook error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+}));
+
+// List the caller's bookings — IMPORTANT: returns { success, bookings }
+app.get("/api/bookings", requireCustomer, guarded(async (req, res) => {
+  const bookings = await db.bookings.find({ customerId: req.customer.id });
+  res.json({ success: true, bookings });
+}));
+
+// ---------- CALENDAR (.ics) ----------
+// One VEVENT per booking. Cancelled and expired bookings stay in the
+// feeds as STATUS:CANCELLED so subscribed calendars drop them.
+
+const ICS_STATUS = {
+  pending: "TENTATIVE",
+  confirmed: "CONFIRMED",
+  confirmed_mock: "CONFIRMED",
+  cancelled: "CANCELLED",
+  expired: "CANCELLED"
+};
+
+// `detail` adds the customer-facing description; unit feeds leave it out
+// so a court's schedule doesn't expose who booked it.
+function bookingEvent(catalog, booking, { detail = true } = {}) {
+  const unit = findUnit(catalog, booking.unitId);
+  const facility = unit && catalog.facilities.find(f => f.id === unit.facilityId);
+  const start = bookingStart(booking);
+  const loc = unit && unit.location;
+  return {
+    uid: `${booking.id}@courtify`,
+    start,
+    end: new Date(start.getTime() + (Number(booking.durationMinutes) || 60) * 60000),
+    stamp: new Date(booking.updatedAt || booking.createdAt),
+    sequence: (booking.history || []).length,
+    status: ICS_STATUS[booking.status] || "CONFIRMED",
+    summary: detail
+      ? `${unit && unit.sport ? unit.sport[0].toUpperCase() + unit.sport.slice(1) : "Court"} — ${booking.unitName || booking.unitId}`
+      : `Booked — ${booking.unitName || booking.unitId}`,
+    location: [facility && facility.name, loc && loc.address, loc && loc.city].filter(Boolean).join(", "),
+    description: detail
+      ? [
+          `Booking ${booking.id}`,
+          `Status: ${booking.status}`,
+          booking.price != null ? `Price: ₱${booking.price}` : null
+        ].filter(Boolean).join("\n")
+      : null
+  };
 }
 
-async function writeFileSafe(filePath, data) {
-  const tmp = filePath + ".tmp";
-  await fsp.writeFile(tmp, JSON.stringify(data, null, 2), "utf8");
-  await fsp.rename(tmp, filePath);
+function sendCalendar(res, body, filename) {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  if (filename) res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(body);
 }
 
-const readBookingsSafe = () => readFileSafe(BOOKINGS_FILE);
-const writeBookingsSafe = data => writeFileSafe(BOOKINGS_FILE, data);
+// Single booking as an .ics download
+app.get("/api/book/:id/ics", requireCustomer, guarded(async (req, res) => {
+  const found = await ownedBooking(db, req);
+  if (found.status) return res.status(found.status).json(found.body);
+  const catalog = await readCatalogSafe();
+  const body = ics.calendar({ name: "Courtify booking", events: [bookingEvent(catalog, found.booking)] });
+  sendCalendar(res, body, `courtify-${found.booking.id}.ics`);
+}));
 
-const readCouponsSafe = async () => {
-  // if file empty, seed default 20% coupons for sports
-  await ensureFile(COUPONS_FILE);
-  const raw = await fsp.readFile(COUPONS_FILE, "utf8");
-  let data = raw.trim() ? JSON.parse(raw) : [];
-  if (!Array.isArray(data) || data.length === 0) {
-    data = [
-      { id: uuidv4(), code: "BADMINTON20", type: "percent", amount: 20, maxUses: 9999, used: 0 },
-      { id: uuidv4(), code: "BASKETBALL20", type: "percent", amount: 20, maxUses: 9999, used: 0 },
-      { id: uuidv4(), code: "TENNIS20", type: "percent", amount: 20, maxUses: 9999, used: 0 },
-      { id: uuidv4(), code: "PICKLEBALL20", type: "percent", amount: 20, maxUses: 9999, used: 0 },
-      { id: uuidv4(), code: "SOCCER20", type: "percent", amount: 20, maxUses: 9999, used: 0 }
-    ];
-    await writeFileSafe(COUPONS_FILE, data);
+// The caller's private feed URL. Calendar apps can't log in, so the feed
+// is addressed by a random token kept on the customer record.
+app.get("/api/calendar/feed", requireCustomer, guarded(async (req, res) => {
+  let token = req.customer.calendarToken;
+  if (!token) {
+    token = crypto.randomBytes(24).toString("hex");
+    await db.transaction(async repos => {
+      const customer = await repos.customers.get(req.customer.id);
+      customer.calendarToken = customer.calendarToken || token;
+      token = customer.calendarToken;
+      await repos.customers.update(customer);
+    });
   }
-  return data;
-};
-const writeCouponsSafe = data => writeFileSafe(COUPONS_FILE, data);
+  const url = `${req.protocol}://${req.get("host")}/api/calendar/customers/${token}.ics`;
+  res.json({ success: true, url, webcal: url.replace(/^https?:/, "webcal:") });
+}));
 
-// ---------- booking helpers ----------
+// Subscribable feed of one customer's bookings
+app.get("/api/calendar/customers/:token.ics", guarded(async (req, res) => {
+  const [customer] = await db.customers.find({ calendarToken: req.params.token });
+  if (!customer) return res.status(404).json({ success: false, error: "Feed not found" });
+  const catalog = await readCatalogSafe();
+  const bookings = await db.bookings.find({ customerId: customer.id });
+  sendCalendar(res, ics.calendar({
+    name: "My Courtify bookings",
+    events: bookings.map(b => bookingEvent(catalog, b))
+  }));
+}));
 
-function hasConflict(bookings, unitId, date, time, excludeId = null) {
-  return bookings.some(b => {
-    if (excludeId && b.id === excludeId) return false;
-    if (b.status === "cancelled") return false;
-    return (
-      String(b.unitId) === String(unitId) &&
-      String(b.date) === String(date) &&
-      String(b.time) === String(time)
-    );
+// A unit's schedule shows when a court is in use, so it is for that
+// facility's staff only. They get a feed URL with a per-unit token to
+// subscribe from a calendar app, which can't log in.
+app.get("/api/staff/calendar/units/:unitId/feed", requireStaff(), guarded(async (req, res) => {
+  const unit = findUnit(await readCatalogSafe(), req.params.unitId);
+  if (!unit) return res.status(404).json({ success: false, error: "Unit not found" });
+  if (!canManageFacility(req.staff, unit.facilityId)) {
+    return res.status(403).json({ success: false, error: "Unit belongs to another facility" });
+  }
+  const feed = await db.transaction(async repos => {
+    const existing = await repos.unitFeeds.get(unit.id);
+    if (existing) return existing;
+    const created = {
+      unitId: unit.id,
+      token: crypto.randomBytes(24).toString("hex"),
+      createdBy: req.staff.id,
+      createdAt: new Date().toISOString()
+    };
+    await repos.unitFeeds.insert(created);
+    return created;
   });
+  const url = `${req.protocol}://${req.get("host")}/api/calendar/units/${encodeURIComponent(unit.id)}.ics` +
+    `?token=${feed.token}`;
+  res.json({ success: true, url, webcal: url.replace(/^https?:/, "webcal:") });
+}));
+
+// Subscribable schedule of one unit (court) — staff login, or ?token=
+// from the feed URL above
+app.get("/api/calendar/units/:unitId.ics", guarded(async (req, res) => {
+  const catalog = await readCatalogSafe();
+  const unit = findUnit(catalog, req.params.unitId);
+  let allowed = !!req.staff && !!unit && canManageFacility(req.staff, unit.facilityId);
+  if (!allowed && unit && req.query.token) {
+    const [feed] = await db.unitFeeds.find({ token: String(req.query.token) });
+    allowed = !!feed && feed.unitId === unit.id;
+  }
+  // an unknown unit and a wrong token look the same
+  if (!allowed) return res.status(404).json({ success: false, error: "Feed not found" });
+  const bookings = await db.bookings.find({ unitId: unit.id });
+  sendCalendar(res, ics.calendar({
+    name: `${unit.name} — Courtify`,
+    events: bookings.map(b => bookingEvent(catalog, b, { detail: false }))
+  }));
+}));
+
+// ---------- LOYALTY ----------
+
+// Balance, tier and ledger history — :customerId may be "me"
+app.get("/api/loyalty/:customerId", requireCustomer, guarded(async (req, res) => {
+  const customerId = req.params.customerId === "me" ? req.customer.id : req.params.customerId;
+  if (customerId !== req.customer.id) {
+    return res.status(403).json({ success: false, error: "Not your loyalty account" });
+  }
+  const ledger = await db.loyalty.find({ customerId });
+  const account = loyaltyAccount(ledger, customerId);
+  res.json({ success: true, pointValue: POINT_VALUE, ...account });
+}));
+
+// ---------- STAFF: any booking ----------
+// Every staff action needs a reason, which goes into the booking history
+// next to the staff member's name.
+
+function staffReason(body) {
+  const reason = body && body.reason != null ? String(body.reason).trim() : "";
+  return reason || null;
 }
 
-function pushHistory(booking, actor, action, note = "") {
-  booking.history = booking.history || [];
-  booking.history.push({
-    ts: new Date().toISOString(),
-    actor: actor || "system",
-    action,
-    note
-  });
+// Looks up a booking at the staff member's facility: { booking } or a
+// 404/403 failure
+async function staffBooking(repos, req) {
+  const booking = await repos.bookings.get(req.params.id);
+  if (!booking) return fail(404, "Booking not found");
+  if (!canManageFacility(req.staff, booking.facilityId)) return fail(403, "Booking belongs to another facility");
+  return { booking };
 }
 
-// ---------- health ----------
+// query: date or from/to, unitId, status, customerId, facilityId
+// (operators only; other staff always get their own facility)
+app.get("/api/staff/bookings", requireStaff(), guarded(async (req, res) => {
+  const { date, from, to, unitId, status, customerId } = req.query;
+  if (date && !isValidDate(date)) {
+    return res.status(400).json({ success: false, error: "Invalid date" });
+  }
+  if ((from || to) && !(isValidDate(from) && isValidDate(to) && from <= to)) {
+    return res.status(400).json({ success: false, error: "Invalid date range" });
+  }
 
-app.get("/api/ping", (req, res) => {
-  res.json({ ok: true, ts: new Date().toISOString() });
-});
+  const bookings = await db.bookings.find({
+    date: date || (from ? { from, to } : undefined),
+    unitId: unitId || undefined,
+    status: status ? String(status).split(",") : undefined,
+    customerId: customerId || undefined,
+    facilityId: scopedFacility(req, req.query.facilityId)
+  });
+  bookings.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+  res.json({ success: true, bookings });
+}));
 
-// ---------- simple services API (for /api/services) ----------
-// For demo: simulate a server failure so frontend fallback kicks in.
+app.get("/api/staff/bookings/:id", requireStaff(), guarded(async (req, res) => {
+  const found = await staffBooking(db, req);
+  if (found.status) return res.status(found.status).json(found.body);
+  res.json({ success: true, booking: found.booking });
+}));
 
-app.get("/api/services", (req, res) => {
-  console.error("Simulated /api/services failure for demo");
-  return res
-    .status(500)
-    .json({ success: false, error: "Simulated server error" });
-});
+// Force cancel — body: { reason, refundPercent? }. Works on past sessions
+// too; refundPercent (0-100) replaces the policy's refund and fee.
+app.post("/api/staff/bookings/:id/cancel", requireStaff(), guarded(async (req, res) => {
+  const reason = staffReason(req.body);
+  if (!reason) {
+    return res.status(400).json({ success: false, error: "reason required" });
+  }
+  const raw = req.body.refundPercent;
+  const refundPercent = raw != null && raw !== "" ? Number(raw) : null;
+  if (refundPercent != null && !(refundPercent >= 0 && refundPercent <= 100)) {
+    return res.status(400).json({ success: false, error: "refundPercent must be between 0 and 100" });
+  }
 
-// ---------- BOOKINGS ----------
+  const catalog = await readCatalogSafe();
+  const result = await db.transaction(async repos => {
+    const found = await staffBooking(repos, req);
+    if (found.status) return found;
+    const { booking } = found;
 
-// Create booking
-app.post("/api/book", async (req, res) => {
-  const p = req.body || {};
+    const cancelled = await cancelBooking(repos, booking, findUnit(catalog, booking.unitId), actorOf(req), {
+      reason,
+      refundPercent
+    });
+    if (cancelled.status) return cancelled;
+    return { status: 200, body: { success: true, ...cancelled } };
+  });
 
-  if (!p.serviceId || !p.unitId || !p.date || !p.time || !p.customerName) {
-    return res
-      .status(400)
-      .json({ success: false, error: "Missing required fields" });
+  res.status(result.status).json(result.body);
+}));
+
+// body: { date, time, durationMinutes?, reason, override? } — with
+// override: true the move goes ahead even over another booking
+app.post("/api/staff/bookings/:id/reschedule", requireStaff(), guarded(async (req, res) => {
+  const reason = staffReason(req.body);
+  if (!reason) {
+    return res.status(400).json({ success: false, error: "reason required" });
+  }
+  const target = rescheduleTarget(req.body);
+  if (target.error) {
+    return res.status(400).json({ success: false, error: target.error });
   }
 
-  const bookings = await readBookingsSafe();
+  const catalog = await readCatalogSafe();
+  const result = await db.transaction(async repos => {
+    const found = await staffBooking(repos, req);
+    if (found.status) return found;
 
-  if (hasConflict(bookings, p.unitId, p.date, p.time)) {
-    return res
-      .status(409)
-      .json({ success: false, error: "Time slot already booked" });
+    const moved = await rescheduleBooking(repos, catalog, found.booking, target, actorOf(req), {
+      override: req.body.override === true ? reason : null
+    });
+    if (moved.status) return moved;
+    return { status: 200, body: { success: true, booking: moved.booking } };
+  });
+
+  res.status(result.status).json(result.body);
+}));
+
+// ---------- ADMIN: facilities (venue onboarding) ----------
+// Operators add venues with their services and units here instead of
+// editing defaultCatalog(). Fields left out are inherited the usual way
+// (facility → service → unit), so a facility needs its own openHours and
+// slotMinutes and the rest is optional. Facility admins can edit their
+// own venue and add services and units to it.
+
+const INDOOR_OUTDOOR = ["indoor", "outdoor"];
+
+// "Courtify BGC" → "courtify-bgc"
+function slugId(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Checks the inheritable fields present on input and copies them onto
+// out; throws on the first bad one
+function normalizeCatalogFields(input, out) {
+  if (input.openHours != null) {
+    const open = normalizeTime(input.openHours.open);
+    const close = normalizeTime(input.openHours.close);
+    if (!open || !close || open >= close) throw new Error("openHours needs open and close (HH:mm), open first");
+    out.openHours = { open, close };
+  }
+  if (input.slotMinutes != null) {
+    const n = Number(input.slotMinutes);
+    if (!Number.isInteger(n) || n < 15 || n > 24 * 60) throw new Error("slotMinutes must be a whole number of minutes, at least 15");
+    out.slotMinutes = n;
+  }
+  if (input.bufferMinutes != null) {
+    const n = Number(input.bufferMinutes);
+    if (!Number.isInteger(n) || n < 0) throw new Error("bufferMinutes must be a whole number, 0 or more");
+    out.bufferMinutes = n;
+  }
+  if (input.hourlyRate != null) {
+    const n = Number(input.hourlyRate);
+    if (!(n >= 0)) throw new Error("hourlyRate must be 0 or more");
+    out.hourlyRate = n;
+  }
+  if (input.currency != null) {
+    const currency = String(input.currency).trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) throw new Error("currency must be a 3-letter code");
+    out.currency = currency;
+  }
+  if (input.indoorOutdoor != null) {
+    if (!INDOOR_OUTDOOR.includes(input.indoorOutdoor)) throw new Error("indoorOutdoor must be indoor or outdoor");
+    out.indoorOutdoor = input.indoorOutdoor;
+  }
+  if (input.location != null) {
+    const { address, barangay, city, lat, lng } = input.location;
+    if (!city) throw new Error("location.city required");
+    if ((lat != null || lng != null) && !(Math.abs(Number(lat)) <= 90 && Math.abs(Number(lng)) <= 180)) {
+      throw new Error("location.lat/lng must be coordinates");
+    }
+    out.location = {
+      address: address || null,
+      barangay: barangay || null,
+      city: String(city),
+      lat: lat != null ? Number(lat) : null,
+      lng: lng != null ? Number(lng) : null
+    };
+  }
+  if (input.cancellationPolicy != null) {
+    const { rules, fee = 0 } = input.cancellationPolicy;
+    const ok =
+      Array.isArray(rules) &&
+      rules.every(r => r && Number(r.minHoursBefore) >= 0 && Number(r.refundPercent) >= 0 && Number(r.refundPercent) <= 100);
+    if (!ok) throw new Error("cancellationPolicy.rules need minHoursBefore and refundPercent (0-100)");
+    if (!(Number(fee) >= 0)) throw new Error("cancellationPolicy.fee must be 0 or more");
+    out.cancellationPolicy = {
+      rules: rules.map(r => ({ minHoursBefore: Number(r.minHoursBefore), refundPercent: Number(r.refundPercent) })),
+      fee: Number(fee)
+    };
   }
+  return out;
+}
 
-  const now = new Date().toISOString();
-  const booking = {
-    id: uuidv4(),
-    serviceId: p.serviceId,
-    serviceName: p.serviceName || null,
-    unitId: p.unitId,
-    unitName: p.unitName || null,
-    date: p.date,
-    time: p.time,
-    customerName: p.customerName,
-    contact: p.contact || null,
-    price: p.price != null ? Number(p.price) : null,
-    couponCode: p.couponCode || null,
-    status: MOCK_MODE ? "confirmed_mock" : "pending",
-    confirmationCode: null,
-    createdAt: now,
-    updatedAt: now,
-    history: []
+function normalizeFacility(input, existing = null) {
+  const out = { ...(existing || {}) };
+  if (!existing) {
+    out.id = slugId(input.id || input.name);
+    if (!out.id) throw new Error("name required");
+  }
+  if (input.name != null) out.name = String(input.name).trim();
+  if (!out.name) throw new Error("name required");
+  normalizeCatalogFields(input, out);
+  if (!out.openHours || !out.slotMinutes) throw new Error("openHours and slotMinutes required");
+  if (!out.currency) out.currency = "PHP";
+  if (input.timezone != null) {
+    if (!isValidTimezone(input.timezone)) throw new Error("timezone must be an IANA zone such as Asia/Manila");
+    out.timezone = input.timezone;
+  }
+  if (!out.timezone) out.timezone = DEFAULT_TIMEZONE;
+  // null drops the facility's own rules and falls back to the platform's
+  if (input.pricing !== undefined) {
+    if (input.pricing === null) delete out.pricing;
+    else out.pricing = validatePricing(input.pricing);
+  }
+  return out;
+}
+
+function normalizeService(input, facility) {
+  const name = String(input.name || "").trim();
+  const sport = String(input.sport || "").trim().toLowerCase();
+  if (!name || !sport) throw new Error("Each service needs a name and sport");
+  return normalizeCatalogFields(input, {
+    id: slugId(input.id || `${facility.id}-${sport}`),
+    facilityId: facility.id,
+    sport,
+    name,
+    description: input.description ? String(input.description) : ""
+  });
+}
+
+function normalizeUnit(input, service) {
+  const name = String(input.name || "").trim();
+  if (!name) throw new Error("Each unit needs a name");
+  const unit = normalizeCatalogFields(input, {
+    id: slugId(input.id || `${service.id}-${name}`),
+    serviceId: service.id,
+    name
+  });
+  if (input.description) unit.description = String(input.description);
+  if (input.premium != null) unit.premium = !!input.premium;
+  return unit;
+}
+
+// Adds services (each with its units) to the catalog, checking ids are
+// unused; throws like the normalizers
+function addServices(catalog, facility, services) {
+  const added = { services: [], units: [] };
+  for (const input of services) {
+    const service = normalizeService(input, facility);
+    if (catalog.services.some(s => s.id === service.id)) throw new Error(`Service ${service.id} already exists`);
+    catalog.services.push(service);
+    added.services.push(service);
+    for (const unitInput of input.units || []) {
+      const unit = normalizeUnit(unitInput, service);
+      if (catalog.units.some(u => u.id === unit.id)) throw new Error(`Unit ${unit.id} already exists`);
+      catalog.units.push(unit);
+      added.units.push(unit);
+    }
+  }
+  return added;
+}
+
+// A facility with its resolved services and units, as admins see it
+function adminFacility(catalog, facility) {
+  return {
+    ...facility,
+    services: catalog.services.filter(s => s.facilityId === facility.id).map(s => resolveService(catalog, s))
   };
+}
 
-  pushHistory(booking, "system", "created", "Booking created");
-  bookings.push(booking);
-  await writeBookingsSafe(bookings);
+// Runs fn(catalog) on the stored catalog inside a transaction and saves
+// it if fn returns without failing; fn returns { status, body }
+function editCatalog(fn) {
+  return db.transaction(async repos => {
+    const catalog = withCatalogDefaults(await repos.catalog.get());
+    let result;
+    try {
+      result = await fn(catalog);
+    } catch (err) {
+      return fail(400, err.message);
+    }
+    if (result.status < 300) await repos.catalog.set(catalog);
+    return result;
+  });
+}
 
-  res.status(201).json({ success: true, booking });
-});
+app.get("/api/admin/facilities", guarded(async (req, res) => {
+  const catalog = await readCatalogSafe();
+  const facilities = catalog.facilities
+    .filter(f => canManageFacility(req.staff, f.id))
+    .map(f => adminFacility(catalog, f));
+  res.json({ success: true, facilities });
+}));
 
-// Confirm booking (just confirms; price already includes any coupon discount)
-app.post("/api/book/:id/confirm", async (req, res) => {
-  const id = req.params.id;
-  const bookings = await readBookingsSafe();
-  const idx = bookings.findIndex(b => b.id === id);
-  if (idx === -1) {
-    return res.status(404).json({ success: false, error: "Booking not found" });
+// body: { id?, name, location, openHours, slotMinutes, timezone?,
+// hourlyRate?, currency?, bufferMinutes?, cancellationPolicy?, pricing?,
+// services?: [{ id?, name, sport, …, units?: [{ id?, name, … }] }] }
+app.post("/api/admin/facilities", requireOperator, guarded(async (req, res) => {
+  const body = req.body || {};
+  if (body.services != null && !Array.isArray(body.services)) {
+    return res.status(400).json({ success: false, error: "services must be an array" });
   }
 
-  const booking = bookings[idx];
-  if (booking.status === "cancelled") {
-    return res
-      .status(400)
-      .json({ success: false, error: "Cannot confirm a cancelled booking" });
+  const result = await editCatalog(catalog => {
+    const facility = normalizeFacility(body);
+    if (findFacility(catalog, facility.id)) return fail(409, `Facility ${facility.id} already exists`);
+    catalog.facilities.push(facility);
+    addServices(catalog, facility, body.services || []);
+    return { status: 201, body: { success: true, facility: adminFacility(catalog, facility) } };
+  });
+  res.status(result.status).json(result.body);
+}));
+
+// body: any facility field from POST except id and services
+app.patch("/api/admin/facilities/:id", guarded(async (req, res) => {
+  if (!canManageFacility(req.staff, req.params.id)) {
+    return res.status(403).json({ success: false, error: "Not your facility" });
   }
+  const { id, services, ...changes } = req.body || {};
 
-  booking.status = MOCK_MODE ? "confirmed_mock" : "confirmed";
-  booking.updatedAt = new Date().toISOString();
-  pushHistory(booking, "system", "confirmed", "Booking confirmed");
+  const result = await editCatalog(catalog => {
+    const index = catalog.facilities.findIndex(f => f.id === req.params.id);
+    if (index === -1) return fail(404, "Facility not found");
+    catalog.facilities[index] = normalizeFacility(changes, catalog.facilities[index]);
+    return { status: 200, body: { success: true, facility: adminFacility(catalog, catalog.facilities[index]) } };
+  });
+  res.status(result.status).json(result.body);
+}));
+
+// body: a service as in POST /api/admin/facilities, units included
+app.post("/api/admin/facilities/:id/services", guarded(async (req, res) => {
+  if (!canManageFacility(req.staff, req.params.id)) {
+    return res.status(403).json({ success: false, error: "Not your facility" });
+  }
 
-  bookings[idx] = booking;
-  await writeBookingsSafe(bookings);
+  const result = await editCatalog(catalog => {
+    const facility = findFacility(catalog, req.params.id);
+    if (!facility) return fail(404, "Facility not found");
+    const added = addServices(catalog, facility, [req.body || {}]);
+    return { status: 201, body: { success: true, service: resolveService(catalog, added.services[0]) } };
+  });
+  res.status(result.status).json(result.body);
+}));
 
-  res.json({ success: true, booking });
-});
+// body: { serviceId, id?, name, … } — a unit for one of the facility's
+// services
+app.post("/api/admin/facilities/:id/units", guarded(async (req, res) => {
+  if (!canManageFacility(req.staff, req.params.id)) {
+    return res.status(403).json({ success: false, error: "Not your facility" });
+  }
+  const { serviceId, ...input } = req.body || {};
 
-// Reschedule booking
-app.post("/api/book/:id/reschedule", async (req, res) => {
-  const { date, time } = req.body || {};
-  if (!date || !time) {
+  const result = await editCatalog(catalog => {
+    const service = catalog.services.find(s => s.id === serviceId && s.facilityId === req.params.id);
+    if (!service) return fail(404, "Service not found at this facility");
+    const unit = normalizeUnit(input, service);
+    if (catalog.units.some(u => u.id === unit.id)) return fail(409, `Unit ${unit.id} already exists`);
+    catalog.units.push(unit);
+    return { status: 201, body: { success: true, unit: resolveUnit(catalog, unit) } };
+  });
+  res.status(result.status).json(result.body);
+}));
+
+// ---------- ADMIN: staff accounts ----------
+
+app.get("/api/admin/staff", guarded(async (req, res) => {
+  const staff = await db.staff.find({ facilityId: scopedFacility(req, req.query.facilityId) });
+  res.json({ success: true, staff: staff.map(publicStaff) });
+}));
+
+// body: { name, email, role, password?, facilityId? } — the API key is
+// only shown in this response. Facility admins always create staff for
+// their own facility; operators leave facilityId out for another operator.
+app.post("/api/admin/staff", guarded(async (req, res) => {
+  const { name, email, role = "staff", password } = req.body || {};
+  const facilityId = req.staff.facilityId || req.body.facilityId || null;
+  if (!name || !email) {
+    return res.status(400).json({ success: false, error: "name and email required" });
+  }
+  const normEmail = String(email).trim().toLowerCase();
+  if (!EMAIL_RE.test(normEmail)) {
+    return res.status(400).json({ success: false, error: "Invalid email" });
+  }
+  if (!STAFF_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `role must be one of ${STAFF_ROLES.join(", ")}` });
+  }
+  if (password != null && String(password).length < 8) {
     return res
       .status(400)
-      .json({ success: false, error: "date and time required" });
+      .json({ success: false, error: "Password must be at least 8 characters" });
   }
 
-  const bookings = await readBookingsSafe();
-  const idx = bookings.findIndex(b => b.id === req.params.id);
-  if (idx === -1) return res.status(404).json({ success: false });
+  if (facilityId && !findFacility(await readCatalogSafe(), facilityId)) {
+    return res.status(400).json({ success: false, error: "Unknown facility" });
+  }
 
-  const booking = bookings[idx];
+  try {
+    const apiKey = newApiKey();
+    const passwordHash = password != null ? await hashPassword(String(password)) : null;
+    const staff = await db.transaction(async repos => {
+      if ((await repos.staff.find({ email: normEmail })).length) return null;
+      const created = {
+        id: uuidv4(),
+        name: String(name).trim(),
+        email: normEmail,
+        role,
+        facilityId,
+        active: true,
+        passwordHash,
+        apiKeyHash: hashToken(apiKey),
+        createdAt: new Date().toISOString(),
+        createdBy: req.staff.id
+      };
+      await repos.staff.insert(created);
+      return created;
+    });
+    if (!staff) {
+      return res
+        .status(409)
+        .json({ success: false, error: "A staff account with this email already exists" });
+    }
+    res.status(201).json({ success: true, staff: publicStaff(staff), apiKey });
+  } catch (err) {
+    console.error("POST /api/admin/staff error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+}));
 
-  if (hasConflict(bookings, booking.unitId, date, time, booking.id)) {
+// body: any of { name, role, active, password, facilityId }. Deactivating
+// ends the account's sessions. Only operators move staff between
+// facilities (null makes them an operator).
+app.patch("/api/admin/staff/:id", guarded(async (req, res) => {
+  const body = req.body || {};
+  if (body.facilityId !== undefined) {
+    if (req.staff.facilityId) {
+      return res.status(403).json({ success: false, error: "Only platform operators can do this" });
+    }
+    if (body.facilityId && !findFacility(await readCatalogSafe(), body.facilityId)) {
+      return res.status(400).json({ success: false, error: "Unknown facility" });
+    }
+  }
+  if (body.role != null && !STAFF_ROLES.includes(body.role)) {
+    return res.status(400).json({ success: false, error: `role must be one of ${STAFF_ROLES.join(", ")}` });
+  }
+  if (body.password != null && String(body.password).length < 8) {
     return res
-      .status(409)
-      .json({ success: false, error: "Reschedule conflict" });
+      .status(400)
+      .json({ success: false, error: "Password must be at least 8 characters" });
   }
 
-  const old = `${booking.date} ${booking.time}`;
-  booking.date = date;
-  booking.time = time;
-  booking.updatedAt = new Date().toISOString();
-  pushHistory(booking, "user", "rescheduled", `From ${old} to ${date} ${time}`);
+  try {
+    const passwordHash = body.password != null ? await hashPassword(String(body.password)) : null;
+    const staff = await db.transaction(async repos => {
+      const found = await repos.staff.get(req.params.id);
+      if (!found || !canManageFacility(req.staff, found.facilityId)) return null;
+      if (body.name != null) found.name = String(body.name).trim();
+      if (body.role != null) found.role = body.role;
+      if (body.facilityId !== undefined) found.facilityId = body.facilityId || null;
+      if (body.active != null) found.active = !!body.active;
+      if (passwordHash) found.passwordHash = passwordHash;
+      if (!found.active || passwordHash) {
+        for (const session of await repos.sessions.find({ staffId: found.id })) {
+          await repos.sessions.remove(session.tokenHash);
+        }
+      }
+      await repos.staff.update(found);
+      return found;
+    });
+    if (!staff) return res.status(404).json({ success: false, error: "Staff member not found" });
+    res.json({ success: true, staff: publicStaff(staff) });
+  } catch (err) {
+    console.error("PATCH /api/admin/staff/:id error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+}));
 
-  bookings[idx] = booking;
-  await writeBookingsSafe(bookings);
+// Issues a new API key; the old one stops working
+app.post("/api/admin/staff/:id/api-key", guarded(async (req, res) => {
+  const apiKey = newApiKey();
+  const staff = await db.transaction(async repos => {
+    const found = await repos.staff.get(req.params.id);
+    if (!found || !canManageFacility(req.staff, found.facilityId)) return null;
+    found.apiKeyHash = hashToken(apiKey);
+    await repos.staff.update(found);
+    return found;
+  });
+  if (!staff) return res.status(404).json({ success: false, error: "Staff member not found" });
+  res.json({ success: true, staff: publicStaff(staff), apiKey });
+}));
 
-  res.json({ success: true, booking });
-});
+// ---------- ANALYTICS ----------
+// Reports over bookings dated within [from, to]. Revenue is what was
+// actually earned: the price of confirmed (incl. confirmed_mock) bookings
+// plus the fee kept on cancelled ones. Expired holds never became
+// bookings and are left out of rates.
 
-// Cancel booking
-app.post("/api/book/:id/cancel", async (req, res) => {
-  const bookings = await readBookingsSafe();
-  const idx = bookings.findIndex(b => b.id === req.params.id);
-  if (idx === -1) return res.status(404).json({ success: false });
+const ANALYTICS_MAX_DAYS = 366;
+const CONFIRMED_STATUSES = ["confirmed", "confirmed_mock"];
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
 
-  const booking = bookings[idx];
-  booking.status = "cancelled";
-  booking.updatedAt = new Date().toISOString();
-  pushHistory(booking, "user", "cancelled", "Booking cancelled");
+function isConfirmed(booking) {
+  return CONFIRMED_STATUSES.includes(booking.status);
+}
+
+function earned(booking) {
+  if (isConfirmed(booking)) return Number(booking.price) || 0;
+  if (booking.status === "cancelled" && booking.cancellation) return Number(booking.cancellation.fee) || 0;
+  return 0;
+}
 
-  bookings[idx] = booking;
-  await writeBookingsSafe(bookings);
+// 0 = Monday
+function weekdayIndex(date) {
+  return (new Date(date + "T00:00:00Z").getUTCDay() + 6) % 7;
+}
 
-  res.json({ success: true, booking });
-});
+function bucketKey(date, bucket) {
+  return bucket === "week" ? addDays(date, -weekdayIndex(date)) : date;
+}
 
-// List bookings — IMPORTANT: returns { success, bookings }
-app.get("/api/bookings", async (req, res) => {
-  const bookings = await readBookingsSafe();
-  res.json({ success: true, bookings });
-});
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
 
-// Simple admin analytics (optional)
-app.get("/api/admin/analytics", async (req, res) => {
-  const bookings = await readBookingsSafe();
-  const revenue = bookings.reduce(
-    (sum, b) => sum + (b.price != null ? Number(b.price) : 0),
-    0
-  );
+// facilityId (optional) limits utilization to that venue's units; the
+// bookings passed in should already be limited the same way.
+function analyticsReports(catalog, bookings, { from, to, bucket, facilityId = null }) {
+  const days = dateRange(from, to);
+  const counted = bookings.filter(b => b.status !== "expired");
+  const confirmed = bookings.filter(isConfirmed);
+  const cancelled = bookings.filter(b => b.status === "cancelled");
+  const sportOf = b => {
+    const unit = findUnit(catalog, b.unitId);
+    return (unit && unit.sport) || "unknown";
+  };
+
+  const summary = {
+    from,
+    to,
+    facilityId,
+    totalBookings: counted.length,
+    confirmed: confirmed.length,
+    pending: bookings.filter(b => b.status === "pending").length,
+    cancelled: cancelled.length,
+    expiredHolds: bookings.length - counted.length,
+    bookingRevenue: roundMoney(confirmed.reduce((sum, b) => sum + earned(b), 0)),
+    cancellationFees: roundMoney(cancelled.reduce((sum, b) => sum + earned(b), 0)),
+    refunded: roundMoney(cancelled.reduce((sum, b) => sum + (b.cancellation ? Number(b.cancellation.refundAmount) || 0 : 0), 0)),
+    revenue: roundMoney(bookings.reduce((sum, b) => sum + earned(b), 0)),
+    cancellationRate: percent(cancelled.length, counted.length)
+  };
+
+  // bookings and revenue per day or week, every bucket present
+  const timeline = new Map();
+  days.forEach(d => {
+    const key = bucketKey(d, bucket);
+    if (!timeline.has(key)) timeline.set(key, { bucket: key, bookings: 0, confirmed: 0, cancelled: 0, revenue: 0 });
+  });
+  counted.forEach(b => {
+    const row = timeline.get(bucketKey(b.date, bucket));
+    if (!row) return;
+    row.bookings += 1;
+    if (isConfirmed(b)) row.confirmed += 1;
+    if (b.status === "cancelled") row.cancelled += 1;
+    row.revenue = roundMoney(row.revenue + earned(b));
+  });
+
+  // confirmed minutes against open minutes over the whole range
+  const utilization = catalog.units
+    .map(raw => resolveUnit(catalog, raw))
+    .filter(unit => !facilityId || unit.facilityId === facilityId)
+    .map(unit => {
+      const openMinutes = (toMinutes(unit.openHours.close) - toMinutes(unit.openHours.open)) * days.length;
+      const bookedMinutes = confirmed
+        .filter(b => b.unitId === unit.id)
+        .reduce((sum, b) => sum + (Number(b.durationMinutes) || unit.slotMinutes), 0);
+      return {
+        unitId: unit.id,
+        unitName: unit.name,
+        facilityId: unit.facilityId,
+        sport: unit.sport,
+        bookedMinutes,
+        openMinutes,
+        utilization: percent(bookedMinutes, openMinutes)
+      };
+    });
+
+  const bySport = new Map();
+  bookings.forEach(b => {
+    const value = earned(b);
+    if (!isConfirmed(b) && !value) return;
+    const sport = sportOf(b);
+    const row = bySport.get(sport) || { sport, bookings: 0, revenue: 0 };
+    if (isConfirmed(b)) row.bookings += 1;
+    row.revenue = roundMoney(row.revenue + value);
+    bySport.set(sport, row);
+  });
+
+  // confirmed sessions by weekday and start hour
+  const heat = new Map();
+  confirmed.forEach(b => {
+    const key = `${weekdayIndex(b.date)}-${Number(b.time.slice(0, 2))}`;
+    heat.set(key, (heat.get(key) || 0) + 1);
+  });
+  const heatmap = [];
+  WEEKDAYS.forEach((day, w) => {
+    for (let hour = 0; hour < 24; hour++) {
+      const count = heat.get(`${w}-${hour}`) || 0;
+      if (count) heatmap.push({ weekday: day, hour, bookings: count });
+    }
+  });
+
+  // what each coupon gave away against the revenue it brought in
+  const byCoupon = new Map();
+  confirmed.filter(b => b.couponCode).forEach(b => {
+    const row = byCoupon.get(b.couponCode) ||
+      { code: b.couponCode, redemptions: 0, grossValue: 0, discount: 0, revenue: 0 };
+    row.redemptions += 1;
+    row.grossValue = roundMoney(row.grossValue + (b.pricing ? Number(b.pricing.base) || 0 : 0));
+    row.discount = roundMoney(row.discount + (b.pricing ? Number(b.pricing.discount) || 0 : 0));
+    row.revenue = roundMoney(row.revenue + earned(b));
+    byCoupon.set(b.couponCode, row);
+  });
+  const coupons = [...byCoupon.values()].map(row => ({
+    ...row,
+    shareOfBookings: percent(row.redemptions, confirmed.length)
+  }));
+
+  return {
+    summary,
+    timeline: [...timeline.values()],
+    utilization,
+    revenueBySport: [...bySport.values()].sort((a, b) => b.revenue - a.revenue),
+    heatmap,
+    coupons
+  };
+}
+
+// query: from, to (default: the 30 days up to today, or from `from`),
+// bucket: day | week
+function analyticsRange(query) {
+  const to = query.to || (isValidDate(query.from) ? addDays(query.from, 29) : todayStr());
+  const from = query.from || addDays(to, -29);
+  const bucket = query.bucket || "day";
+  if (!isValidDate(from) || !isValidDate(to) || from > to) return { error: "Invalid date range" };
+  if (dateRange(from, to).length > ANALYTICS_MAX_DAYS) {
+    return { error: `Date range cannot exceed ${ANALYTICS_MAX_DAYS} days` };
+  }
+  if (!["day", "week"].includes(bucket)) return { error: "bucket must be day or week" };
+  return { from, to, bucket };
+}
+
+// facilityId: the venue to report on, or null for the whole platform
+async function loadAnalytics(query, facilityId) {
+  const range = analyticsRange(query);
+  if (range.error) return range;
+  const catalog = await readCatalogSafe();
+  if (facilityId && !findFacility(catalog, facilityId)) return { error: "Unknown facility" };
+  const bookings = await db.bookings.find({
+    date: { from: range.from, to: range.to },
+    facilityId: facilityId || undefined
+  });
+  return analyticsReports(catalog, bookings, { ...range, facilityId: facilityId || null });
+}
+
+function csvCell(value) {
+  const s = value == null ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  if (!rows.length) return "";
+  const columns = Object.keys(rows[0]);
+  return [columns, ...rows.map(r => columns.map(c => r[c]))]
+    .map(line => line.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
+}
+
+app.get("/api/admin/analytics", guarded(async (req, res) => {
+  const reports = await loadAnalytics(req.query, scopedFacility(req, req.query.facilityId));
+  if (reports.error) return res.status(400).json({ success: false, error: reports.error });
+  const { summary } = reports;
   res.json({
     success: true,
+    // the original four numbers, now counting mock confirmations and
+    // only earned revenue
     metrics: {
-      totalBookings: bookings.length,
-      confirmed: bookings.filter(b => b.status === "confirmed").length,
-      cancelled: bookings.filter(b => b.status === "cancelled").length,
-      revenue
-    }
+      totalBookings: summary.totalBookings,
+      confirmed: summary.confirmed,
+      cancelled: summary.cancelled,
+      revenue: summary.revenue
+    },
+    ...reports
   });
-});
+}));
+
+// Any report as CSV: summary, timeline, utilization, revenueBySport,
+// heatmap, coupons — e.g. /api/admin/analytics/utilization.csv?from=…
+app.get("/api/admin/analytics/:report.csv", guarded(async (req, res) => {
+  const reports = await loadAnalytics(req.query, scopedFacility(req, req.query.facilityId));
+  if (reports.error) return res.status(400).json({ success: false, error: reports.error });
+  const data = reports[req.params.report];
+  if (!data) {
+    return res
+      .status(404)
+      .json({ success: false, error: `Unknown report; use one of ${Object.keys(reports).join(", ")}` });
+  }
+  const { from, to } = reports.summary;
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="courtify-${req.params.report}-${from}-${to}.csv"`);
+  res.send(toCsv(Array.isArray(data) ? data : [data]));
+}));
 
 // ---------- COUPONS ----------
 
-// List coupons for dropdown
+// List public, currently usable coupons for the dropdown — query: sport,
+// facilityId
 app.get("/api/coupons", async (req, res) => {
   try {
-    const coupons = await readCouponsSafe();
-    res.json({ success: true, coupons });
+    const coupons = await db.coupons.find();
+    const visible = coupons
+      .filter(c => c.public && !couponError(c, { sport: req.query.sport, facilityId: req.query.facilityId }))
+      .map(publicCoupon);
+    res.json({ success: true, coupons: visible });
   } catch (err) {
     console.error("GET /api/coupons error:", err);
     res.status(500).json({ success: false, error: "Server error" });
@@ -264,9 +3506,11 @@ app.get("/api/coupons", async (req, res) => {
 });
 
 // Validate coupon & compute discounted price
-// body: { code, originalPrice }
+// body: { code, originalPrice, unitId?, date?, time? } — per-customer rules
+// are checked when the caller is logged in
 app.post("/api/coupons/validate", async (req, res) => {
-  const { code, originalPrice } = req.body || {};
+  const { code, originalPrice, unitId, date, time } = req.body || {};
+  const customerId = req.customer ? req.customer.id : null;
   if (!code || originalPrice == null) {
     return res
       .status(400)
@@ -274,34 +3518,28 @@ app.post("/api/coupons/validate", async (req, res) => {
   }
 
   try {
-    const coupons = await readCouponsSafe();
-    const coupon = coupons.find(
-      c => c.code === String(code).toUpperCase()
-    );
-    if (!coupon) {
-      return res
-        .status(404)
-        .json({ success: false, error: "Invalid coupon" });
+    const coupon = await db.coupons.get(couponKey(code));
+    const base = Number(originalPrice);
+    const ctx = { amount: base, date, time: normalizeTime(time), customerId };
+    if (unitId) {
+      const unit = findUnit(await readCatalogSafe(), unitId);
+      if (unit) Object.assign(ctx, { sport: unit.sport, serviceId: unit.serviceId, facilityId: unit.facilityId });
     }
+    if (customerId) ctx.bookings = await db.bookings.find({ customerId });
 
-    if ((coupon.used || 0) >= (coupon.maxUses || 999999)) {
+    const invalid = couponError(coupon, ctx);
+    if (invalid) {
       return res
-        .status(400)
-        .json({ success: false, error: "Coupon max uses reached" });
+        .status(invalid.status)
+        .json({ success: false, error: invalid.error });
     }
 
-    let finalPrice = Number(originalPrice);
-    if (coupon.type === "percent") {
-      finalPrice = finalPrice - (finalPrice * Number(coupon.amount) / 100);
-    } else if (coupon.type === "fixed") {
-      finalPrice = Math.max(0, finalPrice - Number(coupon.amount));
-    }
-    finalPrice = Math.round(finalPrice * 100) / 100;
+    const finalPrice = roundMoney(base - couponDiscount(coupon, base));
 
     res.json({
       success: true,
       finalPrice,
-      coupon: { code: coupon.code, type: coupon.type, amount: coupon.amount }
+      coupon: publicCoupon(coupon)
     });
   } catch (err) {
     console.error("POST /api/coupons/validate error:", err);
@@ -309,6 +3547,133 @@ app.post("/api/coupons/validate", async (req, res) => {
   }
 });
 
+// ---------- ADMIN: coupon management ----------
+
+// uses: the bookings carrying this coupon's code
+function couponUsage(coupon, uses) {
+  const active = uses.filter(b => !isReleased(b));
+  return {
+    redemptions: coupon.used || 0,
+    bookings: uses.length,
+    activeBookings: active.length,
+    totalDiscount: roundMoney(
+      active.reduce((sum, b) => sum + (b.pricing ? Number(b.pricing.discount) : 0), 0)
+    )
+  };
+}
+
+// Looks up a coupon the staff member may manage: { coupon } or a 404/403
+// failure. Platform-wide coupons (no facilityId) are operators' only.
+async function managedCoupon(repos, req) {
+  const coupon = await repos.coupons.get(couponKey(req.params.code));
+  if (!coupon) return fail(404, "Coupon not found");
+  if (!canManageFacility(req.staff, coupon.facilityId)) return fail(403, "Coupon belongs to another facility");
+  return { coupon };
+}
+
+// Facility admins always work on their own facility's coupons
+async function couponFacility(req, requested) {
+  const facilityId = req.staff.facilityId || requested || null;
+  if (facilityId && !findFacility(await readCatalogSafe(), facilityId)) throw new Error("Unknown facility");
+  return facilityId;
+}
+
+app.get("/api/admin/coupons", guarded(async (req, res) => {
+  const coupons = await db.coupons.find({ facilityId: scopedFacility(req, req.query.facilityId) });
+  const withUsage = [];
+  for (const c of coupons) {
+    withUsage.push({ ...c, usage: couponUsage(c, await db.bookings.find({ couponCode: c.code })) });
+  }
+  res.json({ success: true, coupons: withUsage });
+}));
+
+app.post("/api/admin/coupons", guarded(async (req, res) => {
+  let coupon;
+  try {
+    const facilityId = await couponFacility(req, (req.body || {}).facilityId);
+    coupon = normalizeCoupon({ ...(req.body || {}), facilityId, used: 0, id: null, createdAt: null });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  try {
+    const result = await db.transaction(async repos => {
+      if (await repos.coupons.get(coupon.code)) return fail(409, "Coupon code already exists");
+      await repos.coupons.insert(coupon);
+      return { status: 201, body: { success: true, coupon } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("POST /api/admin/coupons error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+}));
+
+// Update rules; code, id and usage counters cannot be changed here
+app.patch("/api/admin/coupons/:code", guarded(async (req, res) => {
+  const { code, id, used, createdAt, ...changes } = req.body || {};
+  try {
+    if (changes.facilityId !== undefined) changes.facilityId = await couponFacility(req, changes.facilityId);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  try {
+    const result = await db.transaction(async repos => {
+      const found = await managedCoupon(repos, req);
+      if (found.status) return found;
+      const existing = found.coupon;
+      let coupon;
+      try {
+        coupon = normalizeCoupon(changes, existing);
+      } catch (err) {
+        return fail(400, err.message);
+      }
+      await repos.coupons.update(coupon);
+      return { status: 200, body: { success: true, coupon } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("PATCH /api/admin/coupons/:code error:", err);
+    res.status(500).json({ success: false, error: "Server error" });
+  }
+}));
+
+app.post("/api/admin/coupons/:code/disable", guarded(async (req, res) => {
+  const result = await db.transaction(async repos => {
+    const found = await managedCoupon(repos, req);
+    if (found.status) return found;
+    const { coupon } = found;
+    coupon.active = false;
+    coupon.updatedAt = new Date().toISOString();
+    await repos.coupons.update(coupon);
+    return { status: 200, body: { success: true, coupon } };
+  });
+  res.status(result.status).json(result.body);
+}));
+
+app.get("/api/admin/coupons/:code/usage", guarded(async (req, res) => {
+  const found = await managedCoupon(db, req);
+  if (found.status) return res.status(found.status).json(found.body);
+  const { coupon } = found;
+  const bookings = await db.bookings.find({ couponCode: coupon.code });
+  res.json({
+    success: true,
+    coupon,
+    usage: couponUsage(coupon, bookings),
+    bookings: bookings
+      .map(b => ({
+        id: b.id,
+        customerId: b.customerId || null,
+        customerName: b.customerName,
+        date: b.date,
+        time: b.time,
+        status: b.status,
+        pricing: b.pricing || null
+      }))
+  });
+}));
+
 // ---------- SPA fallback (so hitting / just serves index.html) ----------
 
 app.get("*", (req, res) => {
@@ -317,7 +3682,91 @@ app.get("*", (req, res) => {
 
 // ---------- start server ----------
 
+// Bookings made before facilities and timezones were tracked on them get
+// those of their unit, so facility-scoped queries see them and their
+// session has startsAt/endsAt
+async function backfillBookings() {
+  const catalog = await readCatalogSafe();
+  const count = await db.transaction(async repos => {
+    const missing = (await repos.bookings.find()).filter(b => b.facilityId === undefined || !b.startsAt);
+    for (const booking of missing) {
+      const unit = findUnit(catalog, booking.unitId);
+      if (booking.facilityId === undefined) booking.facilityId = unit ? unit.facilityId : null;
+      if (!booking.timezone) booking.timezone = unit ? unit.timezone : DEFAULT_TIMEZONE;
+      stampSession(booking, unit ? unit.slotMinutes : undefined);
+      await repos.bookings.update(booking);
+    }
+    return missing.length;
+  });
+  if (count) console.log(`Filled in facility and session times on ${count} older booking(s)`);
+}
+
+// Coupons seeded before coupon rules existed (BADMINTON20 and co.) have no
+// active/public/sports fields: without sports they'd work on any court and
+// without public they'd drop out of the public coupon list. They get the
+// rules of the matching default coupon, or just the defaults.
+async function backfillCoupons() {
+  const defaults = new Map(defaultCoupons().map(c => [c.code, c]));
+  const filledIn = await db.transaction(async repos => {
+    const legacy = (await repos.coupons.find()).filter(c => c.active === undefined);
+    let count = 0;
+    for (const coupon of legacy) {
+      const rules = defaults.get(couponKey(coupon.code)) || {};
+      let filled;
+      try {
+        filled = normalizeCoupon({
+          sports: rules.sports || null,
+          public: !!rules.public,
+          description: rules.description || "",
+          ...coupon,
+          active: true
+        });
+      } catch (err) {
+        // leave it as it was rather than refuse to start
+        console.warn(`Coupon ${coupon.code} left as is: ${err.message}`);
+        continue;
+      }
+      await repos.coupons.update(filled);
+      count++;
+    }
+    return count;
+  });
+  if (filledIn) console.log(`Filled in the rules of ${filledIn} older coupon(s)`);
+}
+
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`✅ Courtify server running at http://localhost:${PORT}`);
-});
+moveLegacyDataFiles();
+openStorage({
+  backend: STORAGE_BACKEND,
+  dir: DATA_DIR,
+  sqliteFile: process.env.SQLITE_FILE,
+  seeds: {
+    coupons: defaultCoupons,
+    catalog: current => {
+      if (!hasCatalog(current)) return defaultCatalog();
+      // catalogs saved before price rules existed get the default rules
+      return current.pricing ? null : { ...current, pricing: defaultCatalog().pricing };
+    }
+  }
+})
+  .then(async opened => {
+    db = opened;
+    await backfillBookings();
+    await backfillCoupons();
+    if (!ADMIN_API_KEY) {
+      console.warn("ADMIN_API_KEY is not set; admin routes need a staff account with the admin role");
+    }
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+      console.warn("PAYMENT_WEBHOOK_SECRET is not set; only the built-in mock gateway can sign payment webhooks");
+    }
+    sweepHolds();
+    setInterval(sweepHolds, HOLD_SWEEP_SECONDS * 1000).unref();
+    setInterval(dispatchNotifications, NOTIFY_INTERVAL_SECONDS * 1000).unref();
+    app.listen(PORT, () => {
+      console.log(`✅ Courtify server running at http://localhost:${PORT}`);
+    });
+  })
+  .catch(err => {
+    console.error("Failed to initialise storage:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,186 @@
+// sqlite-storage.js — SQLite backend for the storage repositories
+//
+// Each collection is a table holding the document as JSON plus one
+// indexed column per field listed in COLLECTIONS[name].indexes, so
+// find({ unitId, date }) and friends are index lookups instead of full
+// scans. Documents (the catalog) live in a key/value `documents` table.
+// Selected with STORAGE_BACKEND=sqlite; see migrate.js for importing the
+// existing JSON files.
+
+const Database = require("better-sqlite3");
+const { COLLECTIONS, DOCUMENTS, createMutex, matchesQuery } = require("./storage");
+
+const quote = name => `"${String(name).replace(/"/g, '""')}"`;
+
+// SQLite has no booleans and cannot bind undefined
+function toSql(value) {
+  if (value === undefined) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value !== null && typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+function migrateSchema(db) {
+  for (const [name, def] of Object.entries(COLLECTIONS)) {
+    const table = quote(name);
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+    const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+    for (const field of def.indexes) {
+      if (!existing.has(field)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${quote(field)}`);
+        // backfill a column added after rows were written
+        db.prepare(`UPDATE ${table} SET ${quote(field)} = json_extract(data, ?)`).run(`$.${field}`);
+      }
+      db.exec(`CREATE INDEX IF NOT EXISTS ${quote(`${name}_${field}`)} ON ${table} (${quote(field)})`);
+    }
+    for (const fields of def.composite || []) {
+      db.exec(
+        `CREATE INDEX IF NOT EXISTS ${quote(`${name}_${fields.join("_")}`)} ` +
+        `ON ${table} (${fields.map(quote).join(", ")})`
+      );
+    }
+  }
+  db.exec("CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, data TEXT NOT NULL)");
+}
+
+function sqliteCollection(db, name, def) {
+  const table = quote(name);
+  const indexed = new Set(def.indexes);
+  const columns = ["key", ...def.indexes, "data"];
+  const rowOf = doc => [
+    String(doc[def.key]),
+    ...def.indexes.map(f => toSql(doc[f])),
+    JSON.stringify(doc)
+  ];
+  const placeholders = columns.map(() => "?").join(", ");
+  const insertSql = `INSERT INTO ${table} (${columns.map(quote).join(", ")}) VALUES (${placeholders})`;
+  // an upsert rather than INSERT OR REPLACE, which would delete the row and
+  // re-add it under a new rowid, moving it to the end of find()'s order
+  const putSql = `${insertSql} ON CONFLICT(key) DO UPDATE SET ` +
+    columns.slice(1).map(c => `${quote(c)} = excluded.${quote(c)}`).join(", ");
+  const updateSql =
+    `UPDATE ${table} SET ${columns.slice(1).map(c => `${quote(c)} = ?`).join(", ")} WHERE key = ?`;
+
+  return {
+    get(key) {
+      const row = db.prepare(`SELECT data FROM ${table} WHERE key = ?`).get(String(key));
+      return row ? JSON.parse(row.data) : null;
+    },
+    // Indexed fields become WHERE clauses; anything else is filtered after
+    find(query = {}) {
+      const where = [];
+      const params = [];
+      const rest = {};
+      for (const [field, cond] of Object.entries(query)) {
+        if (cond === undefined) continue;
+        const col = field === def.key ? "key" : indexed.has(field) ? quote(field) : null;
+        if (!col) {
+          rest[field] = cond;
+        } else if (cond === null) {
+          where.push(`${col} IS NULL`);
+        } else if (Array.isArray(cond)) {
+          if (cond.length === 0) return [];
+          where.push(`${col} IN (${cond.map(() => "?").join(", ")})`);
+          params.push(...cond.map(toSql));
+        } else if (typeof cond === "object") {
+          if (cond.from != null) {
+            where.push(`${col} >= ?`);
+            params.push(toSql(cond.from));
+          }
+          if (cond.to != null) {
+            where.push(`${col} <= ?`);
+            params.push(toSql(cond.to));
+          }
+        } else {
+          where.push(`${col} = ?`);
+          params.push(toSql(field === def.key ? String(cond) : cond));
+        }
+      }
+      const sql =
+        `SELECT data FROM ${table}` + (where.length ? ` WHERE ${where.join(" AND ")}` : "") + " ORDER BY rowid";
+      const docs = db.prepare(sql).all(...params).map(r => JSON.parse(r.data));
+      return Object.keys(rest).length ? docs.filter(d => matchesQuery(d, rest)) : docs;
+    },
+    insert(doc) {
+      db.prepare(insertSql).run(...rowOf(doc));
+      return doc;
+    },
+    update(doc) {
+      const [key, ...values] = rowOf(doc);
+      const info = db.prepare(updateSql).run(...values, key);
+      if (info.changes === 0) throw new Error(`No ${name} with key ${key}`);
+      return doc;
+    },
+    put(doc) {
+      db.prepare(putSql).run(...rowOf(doc));
+      return doc;
+    },
+    remove(key) {
+      return db.prepare(`DELETE FROM ${table} WHERE key = ?`).run(String(key)).changes > 0;
+    }
+  };
+}
+
+function sqliteDocument(db, name) {
+  return {
+    get() {
+      const row = db.prepare("SELECT data FROM documents WHERE name = ?").get(name);
+      return row ? JSON.parse(row.data) : {};
+    },
+    set(value) {
+      db.prepare("INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data")
+        .run(name, JSON.stringify(value));
+      return value;
+    }
+  };
+}
+
+// Wraps every repository method so it resolves asynchronously, like the
+// JSON backend, optionally queued behind the connection mutex.
+function asyncRepos(direct, run) {
+  const out = {};
+  for (const [name, repo] of Object.entries(direct)) {
+    out[name] = {};
+    for (const [method, fn] of Object.entries(repo)) {
+      out[name][method] = (...args) => run(() => fn(...args));
+    }
+  }
+  return out;
+}
+
+function createSqliteRepositories({ file }) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 10000");
+  migrateSchema(db);
+
+  const direct = {};
+  for (const [name, def] of Object.entries(COLLECTIONS)) direct[name] = sqliteCollection(db, name, def);
+  for (const name of Object.keys(DOCUMENTS)) direct[name] = sqliteDocument(db, name);
+
+  // One connection is shared by all requests. While a transaction awaits,
+  // other requests must not run statements on it, so everything is queued
+  // behind one mutex; BEGIN IMMEDIATE covers other processes.
+  const withMutex = createMutex();
+  const txRepos = asyncRepos(direct, async fn => fn());
+
+  return {
+    backend: "sqlite",
+    ...asyncRepos(direct, fn => withMutex(async () => fn())),
+    transaction: fn => withMutex(async () => {
+      db.exec("BEGIN IMMEDIATE");
+      try {
+        const result = await fn(txRepos);
+        db.exec("COMMIT");
+        return result;
+      } catch (err) {
+        if (db.inTransaction) db.exec("ROLLBACK");
+        throw err;
+      }
+    }),
+    init: async () => {},
+    close: async () => db.close()
+  };
+}
+
+module.exports = { createSqliteRepositories };
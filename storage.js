@@ -0,0 +1,403 @@
+// storage.js — persistence for Courtify
+//
+// Routes talk to a set of repositories (db.bookings, db.coupons, …) with
+// one interface and two backends, picked by STORAGE_BACKEND:
+//   json   — the JSON files below (default)
+//   sqlite — an embedded SQLite database, see sqlite-storage.js
+//
+// Collection repositories: get(key), find(query), insert(doc),
+// update(doc), put(doc), remove(key). Document repositories (the
+// catalog): get(), set(value). find() takes { field: value } equality
+// filters, arrays for "one of", and { from, to } for inclusive ranges.
+// db.transaction(async repos => …) runs its callback with exclusive
+// access and commits everything it wrote at once; repos.afterCommit(fn)
+// queues fn to run only once that commit has happened.
+//
+// JSON backend: every collection is a JSON file in `dir`.
+// Reads go straight to disk; writes only happen inside transaction(),
+// which is serialized by an in-process mutex plus a cross-process lock
+// file, and made crash-safe by a write-ahead journal: the new contents
+// of every touched file are appended to the journal (and fsynced) before
+// any file is replaced, so an interrupted commit is replayed on the next
+// start.
+
+const path = require("path");
+const fs = require("fs");
+const fsp = fs.promises;
+const { v4: uuidv4 } = require("uuid");
+
+// What is stored, its key, and which fields are indexed for find()
+const COLLECTIONS = {
+  bookings:  { file: "bookings.json",  key: "id", indexes: ["unitId", "date", "customerId", "status", "couponCode", "seriesId", "facilityId"], composite: [["unitId", "date"]] },
+  coupons:   { file: "coupons.json",   key: "code", indexes: ["facilityId"] },
+  customers: { file: "customers.json", key: "id", indexes: ["email", "calendarToken"] },
+  loyalty:   { file: "loyalty.json",   key: "id", indexes: ["customerId", "bookingId"] },
+  sessions:  { file: "sessions.json",  key: "tokenHash", indexes: ["customerId", "staffId"] },
+  payments:  { file: "payments.json",  key: "id", indexes: ["bookingId", "customerId", "status", "providerRef"] },
+  series:    { file: "series.json",    key: "id", indexes: ["customerId"] },
+  waitlist:  { file: "waitlist.json",  key: "id", indexes: ["customerId", "date", "status"] },
+  outbox:    { file: "outbox.json",    key: "id", indexes: ["status", "bookingId", "kind"] },
+  staff:     { file: "staff.json",     key: "id", indexes: ["email", "apiKeyHash", "facilityId"] },
+  unitFeeds: { file: "unit-feeds.json", key: "unitId", indexes: ["token"] }
+};
+
+const DOCUMENTS = {
+  catalog: { file: "catalog.json" }
+};
+
+const LOCK_RETRY_MS = 15;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+
+function createJsonStore({ dir, collections }) {
+  const lockPath = path.join(dir, ".courtify.lock");
+  const journalPath = path.join(dir, "journal.log");
+  const fileOf = name => {
+    const def = collections[name];
+    if (!def) throw new Error(`Unknown collection: ${name}`);
+    return path.join(dir, def.file);
+  };
+
+  // ---------- raw file access ----------
+
+  async function readRaw(name) {
+    const def = collections[name];
+    try {
+      const raw = await fsp.readFile(fileOf(name), "utf8");
+      return raw.trim() ? JSON.parse(raw) : def.empty();
+    } catch (err) {
+      if (err.code === "ENOENT") return def.empty();
+      throw err;
+    }
+  }
+
+  async function writeRaw(name, data) {
+    const file = fileOf(name);
+    const tmp = file + ".tmp";
+    await fsp.writeFile(tmp, JSON.stringify(data, null, 2), "utf8");
+    await fsp.rename(tmp, file);
+  }
+
+  // ---------- locking ----------
+
+  // In-process mutex: each transaction waits for the previous one
+  const withMutex = createMutex();
+
+  // Cross-process lock: exclusive creation of the lock file
+  async function acquireFileLock() {
+    const started = Date.now();
+    for (;;) {
+      try {
+        const handle = await fsp.open(lockPath, "wx");
+        await handle.writeFile(JSON.stringify({ pid: process.pid, ts: Date.now() }));
+        await handle.close();
+        return;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+      }
+      // a lock left behind by a crashed process is broken after LOCK_STALE_MS
+      try {
+        const stat = await fsp.stat(lockPath);
+        if (Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+          await fsp.unlink(lockPath).catch(() => {});
+          continue;
+        }
+      } catch {
+        continue; // released between our open and stat
+      }
+      if (Date.now() - started > LOCK_TIMEOUT_MS) {
+        throw new Error("Timed out waiting for storage lock");
+      }
+      await new Promise(r => setTimeout(r, LOCK_RETRY_MS));
+    }
+  }
+
+  const releaseFileLock = () => fsp.unlink(lockPath).catch(() => {});
+
+  // ---------- journal ----------
+
+  async function appendJournal(record) {
+    const handle = await fsp.open(journalPath, "a");
+    try {
+      await handle.write(JSON.stringify(record) + "\n");
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Re-applies the last transaction if it was journaled but never
+  // marked committed, then empties the journal. Caller holds the lock.
+  async function recover() {
+    let raw = "";
+    try {
+      raw = await fsp.readFile(journalPath, "utf8");
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    const records = raw
+      .split("\n")
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null; // torn write: the tx never began, ignore it
+        }
+      })
+      .filter(Boolean);
+    const committed = new Set(records.filter(r => r.state === "commit").map(r => r.tx));
+    const pending = records.filter(r => r.state === "begin" && !committed.has(r.tx));
+    for (const rec of pending) {
+      for (const [name, data] of Object.entries(rec.writes)) {
+        await writeRaw(name, data);
+      }
+    }
+    if (raw) await fsp.writeFile(journalPath, "", "utf8");
+    return pending.length;
+  }
+
+  async function commit(writes) {
+    const tx = uuidv4();
+    await appendJournal({ tx, state: "begin", ts: new Date().toISOString(), writes });
+    for (const [name, data] of Object.entries(writes)) {
+      await writeRaw(name, data);
+    }
+    await appendJournal({ tx, state: "commit" });
+    // the journal only needs to hold in-flight work
+    await fsp.writeFile(journalPath, "", "utf8");
+  }
+
+  // ---------- public API ----------
+
+  function read(name) {
+    return readRaw(name);
+  }
+
+  // fn(tx) runs with exclusive access. tx.get(name) loads a collection
+  // (fresh from disk), tx.set(name, data) stages a write. Staged writes
+  // are committed together when fn resolves and discarded if it throws.
+  function transaction(fn) {
+    return withMutex(async () => {
+      await acquireFileLock();
+      try {
+        await recover();
+        const loaded = {};
+        const staged = {};
+        const tx = {
+          async get(name) {
+            if (name in staged) return staged[name];
+            if (!(name in loaded)) loaded[name] = await readRaw(name);
+            return loaded[name];
+          },
+          set(name, data) {
+            fileOf(name);
+            staged[name] = data;
+          }
+        };
+        const result = await fn(tx);
+        if (Object.keys(staged).length) await commit(staged);
+        return result;
+      } finally {
+        await releaseFileLock();
+      }
+    });
+  }
+
+  // Replays any interrupted commit and seeds empty collections
+  async function init() {
+    await transaction(async tx => {
+      for (const [name, def] of Object.entries(collections)) {
+        if (!def.seed) continue;
+        const data = await tx.get(name);
+        const seeded = def.seed(data);
+        if (seeded) tx.set(name, seeded);
+      }
+    });
+  }
+
+  return { read, transaction, init, recover };
+}
+
+// ---------- shared helpers ----------
+
+// Promise-chain mutex: run(fn) waits for every earlier run to settle
+function createMutex() {
+  let tail = Promise.resolve();
+  return function run(fn) {
+    const next = tail.then(fn, fn);
+    tail = next.catch(() => {});
+    return next;
+  };
+}
+
+function matchesQuery(doc, query) {
+  return Object.entries(query).every(([field, cond]) => {
+    if (cond === undefined) return true;
+    const value = doc[field];
+    if (Array.isArray(cond)) return cond.includes(value);
+    if (cond && typeof cond === "object") {
+      if (cond.from != null && !(value >= cond.from)) return false;
+      if (cond.to != null && !(value <= cond.to)) return false;
+      return true;
+    }
+    return cond === null ? value == null : value === cond;
+  });
+}
+
+// ---------- JSON repositories ----------
+
+function jsonCollection(name, def, access) {
+  const keyOf = doc => doc[def.key];
+  const indexOf = (all, key) => all.findIndex(d => keyOf(d) === key);
+  return {
+    async get(key) {
+      return (await access.load(name)).find(d => keyOf(d) === key) || null;
+    },
+    async find(query = {}) {
+      return (await access.load(name)).filter(d => matchesQuery(d, query));
+    },
+    insert: doc => access.write(name, all => {
+      if (indexOf(all, keyOf(doc)) !== -1) throw new Error(`Duplicate ${name} key: ${keyOf(doc)}`);
+      all.push(doc);
+      return doc;
+    }),
+    update: doc => access.write(name, all => {
+      const i = indexOf(all, keyOf(doc));
+      if (i === -1) throw new Error(`No ${name} with key ${keyOf(doc)}`);
+      all[i] = doc;
+      return doc;
+    }),
+    put: doc => access.write(name, all => {
+      const i = indexOf(all, keyOf(doc));
+      if (i === -1) all.push(doc);
+      else all[i] = doc;
+      return doc;
+    }),
+    remove: key => access.write(name, all => {
+      const i = indexOf(all, key);
+      if (i !== -1) all.splice(i, 1);
+      return i !== -1;
+    })
+  };
+}
+
+function jsonDocument(name, access) {
+  return {
+    get: () => access.load(name),
+    set: value => access.write(name, () => ({ replace: value }))
+  };
+}
+
+function buildRepos(access) {
+  const repos = {};
+  for (const [name, def] of Object.entries(COLLECTIONS)) repos[name] = jsonCollection(name, def, access);
+  for (const name of Object.keys(DOCUMENTS)) repos[name] = jsonDocument(name, access);
+  return repos;
+}
+
+// Applies a mutation to a loaded collection and stages the result.
+// A mutation may return { replace } to swap the whole value (documents).
+async function stage(tx, name, mutate) {
+  const data = await tx.get(name);
+  const result = mutate(data);
+  if (result && result.replace !== undefined && !Array.isArray(data)) {
+    tx.set(name, result.replace);
+    return result.replace;
+  }
+  tx.set(name, data);
+  return result;
+}
+
+function createJsonRepositories({ dir }) {
+  const defs = {};
+  for (const [name, def] of Object.entries(COLLECTIONS)) defs[name] = { file: def.file, empty: () => [] };
+  for (const [name, def] of Object.entries(DOCUMENTS)) defs[name] = { file: def.file, empty: () => ({}) };
+  const store = createJsonStore({ dir, collections: defs });
+
+  const txRepos = tx => buildRepos({
+    load: name => tx.get(name),
+    write: (name, mutate) => stage(tx, name, mutate)
+  });
+  // Outside a transaction, reads are plain snapshots and every write is
+  // its own transaction.
+  const repos = buildRepos({
+    load: name => store.read(name),
+    write: (name, mutate) => store.transaction(tx => stage(tx, name, mutate))
+  });
+
+  return {
+    backend: "json",
+    ...repos,
+    transaction: fn => store.transaction(tx => fn(txRepos(tx))),
+    init: () => store.init(),
+    close: async () => {}
+  };
+}
+
+// ---------- factory ----------
+
+// Adds afterCommit(fn) to transaction repos (and to db itself, where a
+// write is committed as soon as it returns). Callbacks of a transaction
+// that throws are dropped.
+function withAfterCommit(db) {
+  const transaction = db.transaction;
+  const runAll = callbacks => {
+    for (const fn of callbacks) {
+      try {
+        fn();
+      } catch (err) {
+        console.error("afterCommit callback failed:", err);
+      }
+    }
+  };
+  db.afterCommit = fn => runAll([fn]);
+  db.transaction = async fn => {
+    const callbacks = [];
+    const result = await transaction(repos => fn({ ...repos, afterCommit: cb => callbacks.push(cb) }));
+    runAll(callbacks);
+    return result;
+  };
+  return db;
+}
+
+// seeds: { collection: () => docs inserted when it is empty,
+//           document: current => replacement value or null }
+async function openStorage({ backend = "json", dir, sqliteFile, seeds = {} }) {
+  await fsp.mkdir(dir, { recursive: true });
+  let db;
+  if (backend === "json") {
+    db = createJsonRepositories({ dir });
+    await db.init();
+  } else if (backend === "sqlite") {
+    const { createSqliteRepositories } = require("./sqlite-storage");
+    db = createSqliteRepositories({ file: sqliteFile || path.join(dir, "courtify.db") });
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+  withAfterCommit(db);
+
+  await db.transaction(async repos => {
+    for (const [name, seed] of Object.entries(seeds)) {
+      if (COLLECTIONS[name]) {
+        if ((await repos[name].find()).length === 0) {
+          for (const doc of seed()) await repos[name].insert(doc);
+        }
+      } else {
+        const replacement = seed(await repos[name].get());
+        if (replacement) await repos[name].set(replacement);
+      }
+    }
+  });
+  return db;
+}
+
+module.exports = {
+  COLLECTIONS,
+  DOCUMENTS,
+  createJsonStore,
+  createJsonRepositories,
+  createMutex,
+  matchesQuery,
+  openStorage
+};
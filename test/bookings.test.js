@@ -0,0 +1,42 @@
+// Runs the server on a throwaway DATA_DIR and races parallel POST /api/book
+// requests for one slot: exactly one may win, the rest must see a conflict.
+// Both storage backends are covered; SQLite only if better-sqlite3 installed.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { hasSqlite, withServer, api, futureDate } = require("./helpers");
+
+const PARALLEL = 10;
+
+function raceForSlot(backend) {
+  return withServer({ STORAGE_BACKEND: backend }, async base => {
+    const signup = await api(base, "POST", "/api/auth/signup", {
+      name: "Race Tester",
+      email: "race@example.com",
+      password: "correct horse",
+      phone: "09170000000"
+    });
+    assert.strictEqual(signup.status, 201);
+
+    const slot = {
+      serviceId: "sportsplex-tennis",
+      unitId: "sportsplex-tennis-a",
+      date: futureDate(),
+      time: "10:00"
+    };
+    const results = await Promise.all(
+      Array.from({ length: PARALLEL }, () => api(base, "POST", "/api/book", slot, signup.body.token))
+    );
+    const statuses = results.map(r => r.status).sort();
+    assert.deepStrictEqual(statuses, [201, ...Array(PARALLEL - 1).fill(409)]);
+
+    const mine = await api(base, "GET", "/api/bookings", null, signup.body.token);
+    assert.strictEqual(mine.body.bookings.filter(b => b.unitId === slot.unitId).length, 1);
+  });
+}
+
+test("JSON backend: parallel bookings of one slot, one succeeds", () => raceForSlot("json"));
+
+test("SQLite backend: parallel bookings of one slot, one succeeds",
+  { skip: !hasSqlite && "better-sqlite3 is not installed" },
+  () => raceForSlot("sqlite"));
@@ -0,0 +1,35 @@
+// A unit's calendar feed is for its facility's staff: by login, or by the
+// per-unit token in the feed URL they hand to a calendar app.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { withServer, api } = require("./helpers");
+
+const API_KEY = "test-admin-key";
+const UNIT = "sportsplex-tennis-a";
+
+test("unit calendar feeds need staff or the unit's token", () =>
+  withServer({ ADMIN_API_KEY: API_KEY }, async base => {
+    const feedUrl = `/api/calendar/units/${UNIT}.ics`;
+    assert.strictEqual((await api(base, "GET", feedUrl)).status, 404);
+    assert.strictEqual((await api(base, "GET", `/api/staff/calendar/units/${UNIT}/feed`)).status, 401);
+
+    const asAdmin = { headers: { "x-api-key": API_KEY } };
+    const direct = await fetch(base + feedUrl, asAdmin);
+    assert.strictEqual(direct.status, 200);
+    assert.match(await direct.text(), /^BEGIN:VCALENDAR/);
+
+    const feed = await (await fetch(`${base}/api/staff/calendar/units/${UNIT}/feed`, asAdmin)).json();
+    assert.ok(feed.success);
+    const again = await (await fetch(`${base}/api/staff/calendar/units/${UNIT}/feed`, asAdmin)).json();
+    assert.strictEqual(again.url, feed.url);
+
+    const { pathname, search } = new URL(feed.url);
+    const subscribed = await api(base, "GET", pathname + search);
+    assert.strictEqual(subscribed.status, 200);
+    assert.match(subscribed.body, /X-WR-CALNAME:/);
+
+    // a token only opens the unit it was made for
+    assert.strictEqual((await api(base, "GET", `${pathname}?token=nope`)).status, 404);
+    assert.strictEqual((await api(base, "GET", `/api/calendar/units/sportsplex-tennis-b.ics${search}`)).status, 404);
+  }));
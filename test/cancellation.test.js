@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { cancellationQuote } = require("../cancellation");
+
+// A paid ₱500 hour on 2026-11-10 at 10:00 Manila time (02:00 UTC)
+const booking = {
+  date: "2026-11-10",
+  time: "10:00",
+  timezone: "Asia/Manila",
+  durationMinutes: 60,
+  price: 500,
+  status: "confirmed",
+  paymentStatus: "paid"
+};
+const hoursBefore = h => new Date(Date.parse("2026-11-10T02:00:00Z") - h * 3600000);
+
+test("24 hours' notice or more refunds in full", () => {
+  const quote = cancellationQuote(booking, null, { now: hoursBefore(24) });
+  assert.strictEqual(quote.refundPercent, 100);
+  assert.strictEqual(quote.refundAmount, 500);
+  assert.strictEqual(quote.fee, 0);
+});
+
+test("less than 24 hours' notice refunds half", () => {
+  const quote = cancellationQuote(booking, null, { now: hoursBefore(23.5) });
+  assert.strictEqual(quote.refundPercent, 50);
+  assert.strictEqual(quote.refundAmount, 250);
+  assert.strictEqual(quote.fee, 250);
+});
+
+test("cancelling after the start refunds nothing", () => {
+  const quote = cancellationQuote(booking, null, { now: hoursBefore(-0.5) });
+  assert.strictEqual(quote.rule, null);
+  assert.strictEqual(quote.refundAmount, 0);
+  assert.strictEqual(quote.fee, 500);
+});
+
+test("a finished booking can't be cancelled unless forced", () => {
+  assert.deepStrictEqual(cancellationQuote(booking, null, { now: hoursBefore(-2) }), {
+    error: "Booking has already taken place"
+  });
+  const forced = cancellationQuote(booking, null, { now: hoursBefore(-2), force: true, refundPercent: 40 });
+  assert.strictEqual(forced.refundAmount, 200);
+});
+
+test("the unit's own tiers and fee apply", () => {
+  const unit = {
+    cancellationPolicy: {
+      rules: [
+        { minHoursBefore: 0, refundPercent: 0 },
+        { minHoursBefore: 48, refundPercent: 100 },
+        { minHoursBefore: 12, refundPercent: 75 }
+      ],
+      fee: 25
+    }
+  };
+  const at = h => cancellationQuote(booking, unit, { now: hoursBefore(h) });
+  assert.strictEqual(at(72).refundAmount, 475);
+  assert.strictEqual(at(12).refundAmount, 350);
+  assert.strictEqual(at(11).refundAmount, 0);
+  assert.strictEqual(at(11).fee, 500);
+});
+
+test("unpaid and released bookings", () => {
+  const unpaid = cancellationQuote({ ...booking, paymentStatus: "unpaid" }, null, { now: hoursBefore(48) });
+  assert.strictEqual(unpaid.paid, 0);
+  assert.strictEqual(unpaid.refundAmount, 0);
+  assert.deepStrictEqual(cancellationQuote({ ...booking, status: "cancelled" }, null, { now: hoursBefore(48) }), {
+    error: "Booking is already cancelled"
+  });
+});
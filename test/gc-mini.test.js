@@ -0,0 +1,71 @@
+// The GC Mini spec endpoints: POST /api/availability/check and
+// POST /api/booking/estimate, with the spec's { message } errors.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { withServer, api, futureDate } = require("./helpers");
+
+const FACILITY = "courtify-sportsplex";
+const PAST = "2020-01-06";
+
+test("GC Mini endpoints", () => withServer({}, async base => {
+  const check = body => api(base, "POST", "/api/availability/check", body);
+  const estimate = body => api(base, "POST", "/api/booking/estimate", body);
+  const slot = { facilityId: FACILITY, date: futureDate(), startTime: "09:00", durationMinutes: 60 };
+
+  await test("availability check: a free slot is available", async () => {
+    const res = await check(slot);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.isAvailable, true);
+    assert.strictEqual(res.body.facilityId, FACILITY);
+    assert.strictEqual(res.body.endTime, "10:00");
+  });
+
+  await test("availability check: facilityId is required", async () => {
+    const res = await check({ ...slot, facilityId: undefined });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body, { message: "facilityId is required" });
+  });
+
+  await test("availability check: a past date is rejected", async () => {
+    const res = await check({ ...slot, date: PAST });
+    assert.strictEqual(res.status, 422);
+    assert.deepStrictEqual(res.body, { message: "date cannot be in the past" });
+  });
+
+  await test("availability check: an unknown facility is not found", async () => {
+    const res = await check({ ...slot, facilityId: "no-such-venue" });
+    assert.strictEqual(res.status, 404);
+    assert.deepStrictEqual(res.body, { message: "facility not found" });
+  });
+
+  await test("estimate: the facility's hourly rate times the duration", async () => {
+    const res = await estimate({ facilityId: FACILITY, durationMinutes: 90 });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, {
+      facilityId: FACILITY,
+      hourlyRate: 500,
+      durationMinutes: 90,
+      estimatedPrice: 750,
+      currency: "PHP"
+    });
+  });
+
+  await test("estimate: facilityId is required", async () => {
+    const res = await estimate({ durationMinutes: 90 });
+    assert.strictEqual(res.status, 400);
+    assert.deepStrictEqual(res.body, { message: "facilityId is required" });
+  });
+
+  await test("estimate: a past date is rejected", async () => {
+    const res = await estimate({ facilityId: FACILITY, durationMinutes: 60, date: PAST, startTime: "09:00" });
+    assert.strictEqual(res.status, 422);
+    assert.deepStrictEqual(res.body, { message: "date cannot be in the past" });
+  });
+
+  await test("estimate: an unknown facility is not found", async () => {
+    const res = await estimate({ facilityId: "no-such-venue", durationMinutes: 60 });
+    assert.strictEqual(res.status, 404);
+    assert.deepStrictEqual(res.body, { message: "facility not found" });
+  });
+}));
@@ -0,0 +1,101 @@
+// Shared by the HTTP tests: server.js starts listening as soon as it is
+// required, so tests run it as a child process on a throwaway DATA_DIR.
+
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const SERVER = path.join(__dirname, "..", "server.js");
+
+let hasSqlite = true;
+try {
+  require.resolve("better-sqlite3");
+} catch {
+  hasSqlite = false;
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Starts server.js and resolves once it is listening
+async function startServer(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+    const onData = chunk => {
+      output += chunk;
+      if (output.includes("server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+  child.removeAllListeners("exit");
+  return { child, base: `http://localhost:${port}` };
+}
+
+function stopServer(child) {
+  return new Promise(resolve => {
+    if (child.exitCode != null) return resolve();
+    child.on("exit", resolve);
+    child.kill();
+  });
+}
+
+// Runs fn(base) against a fresh server, then stops it and removes its data
+async function withServer(env, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "courtify-test-"));
+  const { child, base } = await startServer({
+    DATA_DIR: dir,
+    SQLITE_FILE: path.join(dir, "courtify.db"),
+    ...env
+  });
+  try {
+    return await fn(base);
+  } finally {
+    await stopServer(child);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function api(base, method, url, body, token) {
+  const res = await fetch(base + url, {
+    method,
+    headers: {
+      "content-type": "application/json",
+      ...(token ? { authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const type = res.headers.get("content-type") || "";
+  return { status: res.status, body: type.includes("json") ? await res.json() : await res.text() };
+}
+
+// YYYY-MM-DD `days` from now; a month out is open and ahead in every zone
+function futureDate(days = 30) {
+  return new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+}
+
+module.exports = { hasSqlite, withServer, api, futureDate };
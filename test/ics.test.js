@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { calendar, escapeText, icsTime } = require("../ics");
+
+const event = {
+  uid: "b1@courtify",
+  start: new Date("2026-11-10T02:00:00Z"),
+  end: new Date("2026-11-10T03:00:00Z"),
+  stamp: new Date("2026-10-19T00:00:00Z"),
+  summary: "Tennis, Court A"
+};
+
+test("escapeText escapes backslashes, separators and newlines", () => {
+  assert.strictEqual(escapeText("a\\b;c,d\ne\r\nf"), "a\\\\b\\;c\\,d\\ne\\nf");
+  assert.strictEqual(escapeText(null), "");
+});
+
+test("icsTime writes UTC basic format", () => {
+  assert.strictEqual(icsTime(new Date("2026-12-01T01:00:00.123Z")), "20261201T010000Z");
+});
+
+test("calendar writes CRLF lines with escaped text", () => {
+  const ics = calendar({ name: "My bookings", events: [event] });
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(!/[^\r]\n/.test(ics));
+  assert.ok(ics.includes("\r\nSUMMARY:Tennis\\, Court A\r\n"));
+  assert.ok(ics.includes("\r\nDTSTART:20261110T020000Z\r\n"));
+});
+
+test("lines over 75 octets are folded without splitting characters", () => {
+  const description = "Bring your own racket; ".repeat(6) + "ñ".repeat(40);
+  const ics = calendar({ name: "Folding", events: [{ ...event, description }] });
+  const lines = ics.split("\r\n");
+  lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+
+  const start = lines.findIndex(l => l.startsWith("DESCRIPTION:"));
+  let end = start + 1;
+  while (lines[end].startsWith(" ")) end++;
+  assert.ok(end - start > 2);
+  const unfolded = lines[start] + lines.slice(start + 1, end).map(l => l.slice(1)).join("");
+  assert.strictEqual(unfolded, "DESCRIPTION:" + escapeText(description));
+});
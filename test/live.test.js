@@ -0,0 +1,36 @@
+// Live availability streams are capped per client and overall.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { withServer, api, futureDate } = require("./helpers");
+
+const STREAM = `/api/availability/stream?unitIds=sportsplex-tennis-a&dateFrom=${futureDate()}&dateTo=${futureDate()}`;
+
+test("live availability streams over the limits are refused", () =>
+  withServer({ LIVE_MAX_STREAMS: "3", LIVE_MAX_STREAMS_PER_CLIENT: "2" }, async base => {
+    const aborter = new AbortController();
+    const open = async token => {
+      const res = await fetch(base + STREAM, {
+        signal: aborter.signal,
+        headers: token ? { authorization: `Bearer ${token}` } : {}
+      });
+      if (res.status !== 200) await res.body.cancel();
+      return res.status;
+    };
+    const signup = async email => (await api(base, "POST", "/api/auth/signup", {
+      name: "Live Tester", email, password: "correct horse", phone: "09170000000"
+    })).body.token;
+
+    try {
+      assert.strictEqual(await open(), 200);
+      assert.strictEqual(await open(), 200);
+      assert.strictEqual(await open(), 429);
+
+      const first = await signup("live1@example.com");
+      assert.strictEqual(await open(first), 200);
+      const second = await signup("live2@example.com");
+      assert.strictEqual(await open(second), 503);
+    } finally {
+      aborter.abort();
+    }
+  }));
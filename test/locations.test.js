@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { matchLocation, distanceKm } = require("../locations");
+
+const poblacion = { address: "Kalayaan Ave", barangay: "Poblacion", city: "Makati", lat: 14.5649, lng: 121.0296 };
+const kapitolyo = { address: "East Capitol Dr", barangay: "Kapitolyo", city: "Pasig", lat: 14.5708, lng: 121.0592 };
+
+test("exact words match best, ignoring case, accents and filler", () => {
+  assert.deepStrictEqual(matchLocation(poblacion, "Makati City"), { score: 1, field: "city" });
+  assert.deepStrictEqual(matchLocation(poblacion, "brgy. Poblacion, MAKATI"), { score: 1, field: "barangay" });
+  assert.deepStrictEqual(matchLocation(poblacion, "Makatí"), { score: 1, field: "city" });
+});
+
+test("prefixes and typos still match, for less", () => {
+  assert.deepStrictEqual(matchLocation(poblacion, "mak"), { score: 0.9, field: "city" });
+  assert.deepStrictEqual(matchLocation(kapitolyo, "kapitolio"), { score: 0.75, field: "barangay" });
+  // address words count for less
+  assert.deepStrictEqual(matchLocation(poblacion, "kalayaan"), { score: 0.8, field: "address" });
+});
+
+test("every query word has to match", () => {
+  assert.strictEqual(matchLocation(poblacion, "makati pasig"), null);
+  assert.strictEqual(matchLocation(poblacion, "taguig"), null);
+  // short words get no typo allowance
+  assert.strictEqual(matchLocation(kapitolyo, "psg"), null);
+  assert.strictEqual(matchLocation(poblacion, "city"), null);
+});
+
+test("distanceKm is the great-circle distance", () => {
+  assert.strictEqual(distanceKm(poblacion, poblacion), 0);
+  assert.strictEqual(distanceKm(poblacion, kapitolyo), 3.25);
+  // Manila to Cebu City, about 570 km
+  const km = distanceKm({ lat: 14.5995, lng: 120.9842 }, { lat: 10.3157, lng: 123.8854 });
+  assert.ok(km > 560 && km < 580, String(km));
+});
+
+test("distanceKm needs coordinates on both sides", () => {
+  assert.strictEqual(distanceKm(poblacion, { lat: 14.5 }), null);
+  assert.strictEqual(distanceKm(null, kapitolyo), null);
+});
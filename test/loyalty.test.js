@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  LOYALTY_EXPIRY_DAYS, loyaltyAccount, earnLoyalty, reverseLoyalty, pointsCovering, pointsValue
+} = require("../loyalty");
+
+const DAY = 86400000;
+const NOW = new Date("2026-10-19T00:00:00Z");
+
+// A ledger entry made `daysAgo` before NOW
+function entry(type, points, daysAgo, bookingId = null) {
+  const ts = new Date(NOW.getTime() - daysAgo * DAY);
+  const e = { id: `${type}-${daysAgo}`, customerId: "c1", type, points, bookingId, ts: ts.toISOString() };
+  if (points > 0) e.expiresAt = new Date(ts.getTime() + LOYALTY_EXPIRY_DAYS * DAY).toISOString();
+  return e;
+}
+
+test("redemptions use up the oldest live lot first", () => {
+  const ledger = [
+    entry("earn", 100, 350, "b1"),
+    entry("earn", 100, 10, "b2"),
+    entry("redeem", -120, 5, "b3")
+  ];
+  const account = loyaltyAccount(ledger, "c1", NOW);
+  assert.strictEqual(account.balance, 80);
+  // the old lot is gone, so nothing is about to expire
+  assert.strictEqual(account.expiringSoon, 0);
+});
+
+test("expired lots are skipped by later redemptions", () => {
+  const ledger = [
+    entry("earn", 100, 400, "b1"),
+    entry("earn", 50, 20, "b2"),
+    entry("redeem", -30, 1, "b3")
+  ];
+  const account = loyaltyAccount(ledger, "c1", NOW);
+  assert.strictEqual(account.expired, 100);
+  assert.strictEqual(account.balance, 20);
+});
+
+test("a reversal claws back the lot its booking earned", () => {
+  const ledger = [
+    entry("earn", 100, 350, "b1"),
+    entry("earn", 40, 10, "b2"),
+    entry("reverse", -40, 2, "b2")
+  ];
+  const account = loyaltyAccount(ledger, "c1", NOW);
+  assert.strictEqual(account.balance, 100);
+  // only b1's lot is left, and it expires within 30 days
+  assert.strictEqual(account.expiringSoon, 100);
+  assert.strictEqual(account.qualifyingPoints, 100);
+});
+
+test("reverseLoyalty undoes earned and redeemed points once", () => {
+  const booking = { id: "b1", customerId: "c1", price: 500 };
+  const ledger = [entry("redeem", -200, 3, "b1")];
+  assert.ok(earnLoyalty(ledger, booking));
+  assert.strictEqual(earnLoyalty(ledger, booking), null);
+
+  const changed = reverseLoyalty(ledger, booking);
+  assert.deepStrictEqual(changed.map(e => [e.type, e.points]), [["reverse", -500], ["refund", 200]]);
+  assert.deepStrictEqual(reverseLoyalty(ledger, booking), []);
+});
+
+test("tiers follow base points earned in the last year", () => {
+  const ledger = [entry("earn", 2500, 100, "b1"), entry("earn", 3000, 400, "b0")];
+  const account = loyaltyAccount(ledger, "c1", NOW);
+  assert.strictEqual(account.tier, "Silver");
+  assert.deepStrictEqual(account.nextTier, { name: "Gold", pointsNeeded: 2500 });
+});
+
+test("point maths is exact in cents", () => {
+  assert.strictEqual(pointsCovering(0.3), 3);
+  assert.strictEqual(pointsCovering(0.7), 7);
+  assert.strictEqual(pointsCovering(450.15), 4501);
+  assert.strictEqual(pointsCovering(-5), 0);
+  assert.strictEqual(pointsValue(3), 0.3);
+  assert.strictEqual(pointsValue(4501), 450.1);
+});
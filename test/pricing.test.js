@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { quotePrice } = require("../pricing");
+
+const unit = { hourlyRate: 500, premium: false };
+const pricing = {
+  rules: [
+    { id: "evening", label: "Evening peak", from: "17:00", to: "22:00", percent: 20 },
+    { id: "weekend", label: "Weekend rate", days: ["sat", "sun"], rate: 600 },
+    { id: "premium", match: { premium: true }, perHour: 100 },
+    { id: "holiday", holiday: true, percent: 50 }
+  ],
+  holidays: [{ date: "2026-12-25", name: "Christmas Day" }]
+};
+const MONDAY = "2026-10-19";
+const SATURDAY = "2026-10-24";
+
+test("no rule in the window: hourly rate times the duration", () => {
+  const quote = quotePrice(unit, { date: MONDAY, time: "09:00", durationMinutes: 90 }, pricing);
+  assert.strictEqual(quote.base, 750);
+  assert.deepStrictEqual(quote.rules, []);
+});
+
+test("a session crossing into the peak only pays it for the minutes inside", () => {
+  const quote = quotePrice(unit, { date: MONDAY, time: "16:30", durationMinutes: 60 }, pricing);
+  assert.strictEqual(quote.base, 550);
+  assert.deepStrictEqual(quote.rules, [{ id: "evening", label: "Evening peak", minutes: 30, amount: 50 }]);
+});
+
+test("a session running past the end of the peak", () => {
+  const quote = quotePrice(unit, { date: MONDAY, time: "21:15", durationMinutes: 90 }, pricing);
+  // 45 min at 600/h, then 45 min at 500/h
+  assert.strictEqual(quote.base, 825);
+  assert.strictEqual(quote.rules[0].minutes, 45);
+});
+
+test("percentages apply to a replaced rate, and perHour only to matching units", () => {
+  const premium = { ...unit, premium: true };
+  const quote = quotePrice(premium, { date: SATURDAY, time: "16:00", durationMinutes: 120 }, pricing);
+  // 16-17: 600 + 100; 17-18: 600 + 20% of 600 + 100
+  assert.strictEqual(quote.base, 1520);
+  assert.deepStrictEqual(
+    quote.rules.map(r => [r.id, r.minutes, r.amount]),
+    [["weekend", 120, 200], ["premium", 120, 200], ["evening", 60, 120]]
+  );
+});
+
+test("holiday rules apply only on listed dates", () => {
+  const quote = quotePrice(unit, { date: "2026-12-25", time: "10:00", durationMinutes: 60 }, pricing);
+  assert.strictEqual(quote.base, 750);
+  assert.strictEqual(quote.holiday, "Christmas Day");
+});
+
+test("a unit without a rate has no price", () => {
+  const quote = quotePrice({}, { date: MONDAY, time: "10:00", durationMinutes: 60 }, pricing);
+  assert.strictEqual(quote.base, null);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { isValidTimezone, zonedParts, slotStart, isoInZone } = require("../zones");
+
+test("slotStart reads the time on the facility's clock", () => {
+  assert.strictEqual(slotStart("2026-10-19", "17:00").toISOString(), "2026-10-19T09:00:00.000Z");
+  assert.strictEqual(slotStart("2026-10-19", "17:00", "America/New_York").toISOString(), "2026-10-19T21:00:00.000Z");
+  assert.strictEqual(slotStart("2026-12-01", "17:00", "America/New_York").toISOString(), "2026-12-01T22:00:00.000Z");
+});
+
+test("slotStart across a DST change", () => {
+  // Europe/London goes from +00:00 to +01:00 at 01:00 UTC on 2026-03-29
+  assert.strictEqual(slotStart("2026-03-29", "00:30", "Europe/London").toISOString(), "2026-03-29T00:30:00.000Z");
+  assert.strictEqual(slotStart("2026-03-29", "03:00", "Europe/London").toISOString(), "2026-03-29T02:00:00.000Z");
+});
+
+test("zonedParts gives the wall clock and offset in the zone", () => {
+  const instant = new Date("2026-10-19T23:30:45Z");
+  assert.deepStrictEqual(zonedParts(instant, "Asia/Manila"), {
+    date: "2026-10-20", time: "07:30", seconds: "45", offsetMinutes: 480
+  });
+  assert.deepStrictEqual(zonedParts(instant, "America/Los_Angeles"), {
+    date: "2026-10-19", time: "16:30", seconds: "45", offsetMinutes: -420
+  });
+  assert.strictEqual(zonedParts(instant, "Asia/Kolkata").offsetMinutes, 330);
+});
+
+test("isoInZone writes the zone's offset", () => {
+  const instant = new Date("2026-10-19T09:00:00Z");
+  assert.strictEqual(isoInZone(instant, "Asia/Manila"), "2026-10-19T17:00:00+08:00");
+  assert.strictEqual(isoInZone(instant, "America/St_Johns"), "2026-10-19T06:30:00-02:30");
+});
+
+test("isValidTimezone", () => {
+  assert.strictEqual(isValidTimezone("Asia/Manila"), true);
+  assert.strictEqual(isValidTimezone("Mars/Olympus_Mons"), false);
+});
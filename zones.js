@@ -0,0 +1,71 @@
+// zones.js — facility wall clocks for Courtify
+//
+// Booking dates/times are wall-clock times in the facility's timezone;
+// facilities that don't set one are in DEFAULT_TIMEZONE. These helpers
+// turn wall-clock readings into instants and back. Offsets come from the
+// IANA database via Intl, so zones with DST work too.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Asia/Manila";
+
+const pad = n => String(n).padStart(2, "0");
+
+const zoneFormats = new Map();
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// instant → { date, time, seconds, offsetMinutes } as seen in timeZone
+function zonedParts(instant, timeZone = DEFAULT_TIMEZONE) {
+  if (!zoneFormats.has(timeZone)) {
+    zoneFormats.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    }));
+  }
+  const p = {};
+  zoneFormats.get(timeZone).formatToParts(instant).forEach(part => { p[part.type] = part.value; });
+  const wall = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    time: `${p.hour}:${p.minute}`,
+    seconds: p.second,
+    offsetMinutes: Math.round((wall - Math.floor(instant.getTime() / 1000) * 1000) / 60000)
+  };
+}
+
+// The instant a session starts: date + time on the wall clock of timeZone
+function slotStart(date, time, timeZone = DEFAULT_TIMEZONE) {
+  const wall = new Date(`${date}T${time}:00Z`);
+  let instant = new Date(wall.getTime() - zonedParts(wall, timeZone).offsetMinutes * 60000);
+  // a second pass settles times near a DST change
+  const offset = zonedParts(instant, timeZone).offsetMinutes;
+  instant = new Date(wall.getTime() - offset * 60000);
+  return instant;
+}
+
+// ISO 8601 with the zone's offset, e.g. 2026-10-19T17:00:00+08:00
+function isoInZone(instant, timeZone = DEFAULT_TIMEZONE) {
+  const p = zonedParts(instant, timeZone);
+  const sign = p.offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(p.offsetMinutes);
+  return `${p.date}T${p.time}:${p.seconds}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+// Today's date (YYYY-MM-DD) on the wall clock of timeZone
+function todayStr(timeZone = DEFAULT_TIMEZONE) {
+  return zonedParts(new Date(), timeZone).date;
+}
+
+module.exports = { DEFAULT_TIMEZONE, isValidTimezone, zonedParts, slotStart, isoInZone, todayStr };